@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { bootstrapSuperAdmin } from './src/services/adminAccountService.js';
+
+dotenv.config();
+
+// Creates the first super-admin from the command line. Same rules as
+// POST /api/auth/admin/bootstrap: it refuses once any admin exists. To give
+// an existing install a super-admin, use npm run promote:admin instead.
+//
+//   ADMIN_EMAIL=owner@example.com ADMIN_NAME="Owner" ADMIN_PASSWORD=... npm run bootstrap:admin
+const bootstrapAdmin = async () => {
+  try {
+    const { ADMIN_EMAIL, ADMIN_NAME, ADMIN_PASSWORD } = process.env;
+
+    if (!ADMIN_EMAIL || !ADMIN_NAME || !ADMIN_PASSWORD) {
+      console.error('Set ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected...');
+
+    const admin = await bootstrapSuperAdmin({
+      email: ADMIN_EMAIL,
+      name: ADMIN_NAME,
+      password: ADMIN_PASSWORD,
+      bootstrapToken: process.env.ADMIN_BOOTSTRAP_TOKEN,
+    });
+
+    console.log('✅ Super-admin created:', admin.email);
+    console.log('Invite other admins from the admin panel.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+bootstrapAdmin();
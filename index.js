@@ -12,6 +12,15 @@ import bookingRoutes from './src/routes/bookingRoutes.js';
 import adminRoutes from './src/routes/adminRoutes.js';
 import contactRoutes from './src/routes/contactRoutes.js';
 import smsRoutes from './src/routes/smsRoutes.js';
+import slotRoutes from './src/routes/slotRoutes.js';
+import serviceAreaRoutes from './src/routes/serviceAreaRoutes.js';
+import couponRoutes from './src/routes/couponRoutes.js';
+import paymentRoutes from './src/routes/paymentRoutes.js';
+import refundRoutes from './src/routes/refundRoutes.js';
+import walletRoutes from './src/routes/walletRoutes.js';
+import invoiceRoutes from './src/routes/invoiceRoutes.js';
+import riderRoutes from './src/routes/riderRoutes.js';
+import eventRoutes from './src/routes/eventRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,9 +31,20 @@ const app = express();
 // Connect to Database
 connectDB();
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (used by OTP
+// rate limits) is the client's address. Set to the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger Configuration
@@ -75,6 +95,15 @@ app.use('/api/bookings', bookingRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/contacts', contactRoutes);
 app.use('/api/sms', smsRoutes);
+app.use('/api/slots', slotRoutes);
+app.use('/api/service-areas', serviceAreaRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/riders', riderRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health Check
 app.get('/health', (req, res) => {
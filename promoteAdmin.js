@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { promoteToSuperAdmin } from './src/services/adminAccountService.js';
+
+dotenv.config();
+
+// Promotes an existing admin to super-admin, for installs whose admins all
+// predate roles and so can't invite admins, manage roles or read the audit log.
+//
+//   ADMIN_EMAIL=admin@dhobigo.com npm run promote:admin
+const promoteAdmin = async () => {
+  try {
+    const { ADMIN_EMAIL } = process.env;
+
+    if (!ADMIN_EMAIL) {
+      console.error('Set ADMIN_EMAIL to the admin to promote');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected...');
+
+    const admin = await promoteToSuperAdmin(ADMIN_EMAIL);
+
+    console.log('✅ Promoted to super-admin:', admin.email);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+promoteAdmin();
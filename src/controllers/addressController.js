@@ -0,0 +1,197 @@
+import User from '../models/User.js';
+import { pickAddressFields, MAX_SAVED_ADDRESSES } from '../services/addressService.js';
+
+// Keep exactly one default address when the book is not empty
+const ensureSingleDefault = (user, preferredId) => {
+  if (user.addresses.length === 0) {
+    return;
+  }
+
+  const defaultId = preferredId
+    || user.addresses.find((a) => a.isDefault)?._id
+    || user.addresses[0]._id;
+
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(defaultId);
+  });
+};
+
+const validationMessage = (error) =>
+  Object.values(error.errors || {})[0]?.message || error.message;
+
+/**
+ * @desc    Get saved addresses
+ * @route   GET /api/user/addresses
+ * @access  Private
+ */
+export const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses');
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch addresses',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add a saved address
+ * @route   POST /api/user/addresses
+ * @access  Private
+ */
+export const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`,
+      });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    ensureSingleDefault(user, req.body.isDefault ? address._id : undefined);
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added successfully',
+      address,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a saved address
+ * @route   PUT /api/user/addresses/:addressId
+ * @access  Private
+ */
+export const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    address.set(pickAddressFields(req.body));
+    ensureSingleDefault(user, req.body.isDefault ? address._id : undefined);
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      address,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Make a saved address the default
+ * @route   PATCH /api/user/addresses/:addressId/default
+ * @access  Private
+ */
+export const setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    ensureSingleDefault(user, address._id);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Default address updated',
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a saved address
+ * @route   DELETE /api/user/addresses/:addressId
+ * @access  Private
+ */
+export const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    address.deleteOne();
+    ensureSingleDefault(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete address',
+      error: error.message,
+    });
+  }
+};
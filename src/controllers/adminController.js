@@ -1,13 +1,32 @@
+import mongoose from 'mongoose';
 import Admin from '../models/Admin.js';
+import AdminInvite from '../models/AdminInvite.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
-};
+import { createSession } from '../services/sessionService.js';
+import {
+  bootstrapSuperAdmin,
+  createInvite,
+  revokeInvite,
+  acceptInvite,
+  setAdminActive,
+  toAdminSummary,
+} from '../services/adminAccountService.js';
+import {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isTwoFactorRequired,
+  verifySecondFactor,
+} from '../services/twoFactorService.js';
+import {
+  PASSWORD_POLICY,
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  requestPasswordReset,
+  resetPasswordWithToken,
+  forcePasswordReset,
+} from '../services/adminPasswordService.js';
+import sendError from '../utils/sendError.js';
 
 // Admin Login
 export const adminLogin = async (req, res) => {
@@ -37,12 +56,16 @@ export const adminLogin = async (req, res) => {
 
     console.log('✅ [BACKEND] Admin found:', admin.email);
 
+    // Locked accounts are refused before the password is checked
+    assertLoginAllowed(admin);
+
     // Check password
     console.log('🔑 [BACKEND] Verifying password...');
     const isPasswordMatch = await bcrypt.compare(password, admin.password);
 
     if (!isPasswordMatch) {
       console.log('❌ [BACKEND] Password mismatch');
+      await recordFailedLogin(admin);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -62,14 +85,45 @@ export const adminLogin = async (req, res) => {
 
     console.log('✅ [BACKEND] Admin is active');
 
+    await recordSuccessfulLogin(admin);
+
+    // A super-admin reset means the old password must be replaced first
+    if (admin.mustChangePassword) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your password was reset by an administrator. Use the link sent to your email, or request a new one with "Forgot password".',
+        passwordResetRequired: true,
+      });
+    }
+
+    // Password alone isn't enough once 2FA is on (or required by policy)
+    if (admin.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(admin, 'login'),
+      });
+    }
+
+    if (await isTwoFactorRequired()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Set up two-factor authentication to continue',
+        twoFactorSetupRequired: true,
+        challengeToken: signTwoFactorChallenge(admin, 'setup'),
+      });
+    }
+
     // Generate token
-    const token = generateToken(admin._id);
-    console.log('🎫 [BACKEND] Token generated:', token.substring(0, 20) + '...');
+    const { token, refreshToken } = await createSession('admin', admin._id, req);
+    console.log('🎫 [BACKEND] Session started');
 
     const response = {
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       admin: {
         _id: admin._id,
         email: admin.email,
@@ -82,60 +136,291 @@ export const adminLogin = async (req, res) => {
     res.status(200).json(response);
   } catch (error) {
     console.error('❌ [BACKEND] Login error:', error.message);
-    res.status(500).json({
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
   }
 };
 
-// Create Admin (for initial setup)
-export const createAdmin = async (req, res) => {
+// Second login step: authenticator or recovery code
+export const verifyAdminLoginCode = async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!email || !password || !name) {
+    if (!challengeToken || (!code && !recoveryCode)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide all required fields',
+        message: 'Please provide the login challenge and a code',
       });
     }
 
-    // Check if admin exists
-    const existingAdmin = await Admin.findOne({ email });
+    const admin = await verifyTwoFactorChallenge(challengeToken, 'login');
+    const result = await verifySecondFactor(admin._id, { code, recoveryCode });
+    const { token, refreshToken } = await createSession('admin', admin._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+      admin: toAdminSummary(admin),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify code');
+  }
+};
+
+// Email a password reset link (same response whether or not the email exists)
+export const forgotAdminPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    if (existingAdmin) {
+    if (!email) {
       return res.status(400).json({
         success: false,
-        message: 'Admin already exists',
+        message: 'Please provide your email',
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    await requestPasswordReset(email, { ip: req.ip });
 
-    // Create admin
-    const admin = await Admin.create({
-      email,
-      password: hashedPassword,
-      name,
-      role: 'admin',
+    res.status(200).json({
+      success: true,
+      message: 'If that email belongs to an admin account, a reset link is on its way.',
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to request password reset');
+  }
+};
+
+// Choose a new password with a reset token
+export const resetAdminPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    await resetPasswordWithToken(token, password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset password');
+  }
+};
+
+// Password rules, so the admin app can show them before submitting
+export const getPasswordPolicy = (req, res) => {
+  const { minLength, maxBytes, minCharacterClasses, historySize } = PASSWORD_POLICY;
+
+  res.status(200).json({
+    success: true,
+    policy: { minLength, maxBytes, minCharacterClasses, historySize },
+  });
+};
+
+// Create the first super-admin (only while no admin exists)
+export const bootstrapAdmin = async (req, res) => {
+  try {
+    const { email, name, password, bootstrapToken } = req.body;
+
+    const admin = await bootstrapSuperAdmin({ email, name, password, bootstrapToken });
+    console.log('✅ [BACKEND] Bootstrapped super-admin:', admin.email);
 
     res.status(201).json({
       success: true,
-      message: 'Admin created successfully',
-      admin: {
-        _id: admin._id,
-        email: admin.email,
-        name: admin.name,
-        role: admin.role,
+      message: 'Super-admin created. You can now log in.',
+      admin: toAdminSummary(admin),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create admin');
+  }
+};
+
+// Accept an admin invite and set a password
+export const acceptAdminInvite = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const admin = await acceptInvite({ token, name, password });
+
+    // Same policy as adminLogin: no session until the new admin has enrolled
+    if (await isTwoFactorRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Your admin account is ready. Set up two-factor authentication to continue',
+        twoFactorSetupRequired: true,
+        challengeToken: signTwoFactorChallenge(admin, 'setup'),
+        admin: toAdminSummary(admin),
+      });
+    }
+
+    const { token: accessToken, refreshToken } = await createSession('admin', admin._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Welcome aboard! Your admin account is ready.',
+      token: accessToken,
+      refreshToken,
+      admin: toAdminSummary(admin),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to accept invite');
+  }
+};
+
+// List admin accounts
+export const getAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find().select('-password').sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: admins.length,
+      admins,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch admins');
+  }
+};
+
+// Invite a new admin
+export const inviteAdmin = async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    const { invite, token } = await createInvite({ email, name, role }, req.admin);
+    const appUrl = process.env.ADMIN_APP_URL;
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created. Share the link with the invitee; it is only shown once.',
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
       },
+      token,
+      inviteUrl: appUrl ? `${appUrl.replace(/\/$/, '')}/accept-invite?token=${token}` : undefined,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
+    sendError(res, error, 'Failed to create invite');
+  }
+};
+
+// List admin invites
+export const getAdminInvites = async (req, res) => {
+  try {
+    const filter = req.query.status === 'pending'
+      ? { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }
+      : {};
+
+    const invites = await AdminInvite.find(filter)
+      .select('-tokenHash')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      invites,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch invites');
+  }
+};
+
+// Revoke a pending admin invite
+export const revokeAdminInvite = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invite found',
+      });
+    }
+
+    await revokeInvite(req.params.id, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke invite');
+  }
+};
+
+// Deactivate an admin account
+export const deactivateAdmin = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    const admin = await setAdminActive(req.params.id, false, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin deactivated and signed out of all devices',
+      admin: toAdminSummary(admin),
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to deactivate admin');
+  }
+};
+
+// Reactivate an admin account
+export const reactivateAdmin = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    const admin = await setAdminActive(req.params.id, true, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin reactivated',
+      admin: toAdminSummary(admin),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reactivate admin');
+  }
+};
+
+// Reset another admin's password and make them choose a new one
+export const forceAdminPasswordReset = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    const { admin, emailSent } = await forcePasswordReset(req.params.id, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Password reset. The admin has been signed out and emailed a link to choose a new one.'
+        : 'Password reset and the admin signed out, but the email could not be sent. Ask them to use "Forgot password".',
+      emailSent,
+      admin: toAdminSummary(admin),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset password');
   }
 };
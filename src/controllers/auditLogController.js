@@ -0,0 +1,67 @@
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditFilter, writeAuditCsv } from '../services/auditService.js';
+import sendError from '../utils/sendError.js';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * @desc    List audit log entries, newest first
+ * @route   GET /api/admin/audit-logs
+ * @access  Private/Admin (audit:read)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const filter = buildAuditFilter(req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: parseInt(page),
+      total,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch audit logs');
+  }
+};
+
+/**
+ * @desc    Download audit log entries matching the filters as CSV
+ * @route   GET /api/admin/audit-logs/export
+ * @access  Private/Admin (audit:read)
+ */
+export const exportAuditLogs = async (req, res) => {
+  let filter;
+  try {
+    filter = buildAuditFilter(req.query);
+  } catch (error) {
+    return sendError(res, error, 'Failed to export audit logs');
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${date}.csv"`);
+
+  try {
+    await writeAuditCsv(filter, res);
+    res.end();
+  } catch (error) {
+    console.error('❌ Error exporting audit logs:', error);
+    // Headers are gone once rows are streaming; cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendError(res, error, 'Failed to export audit logs');
+    }
+  }
+};
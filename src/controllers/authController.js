@@ -1,17 +1,8 @@
 import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
-};
-
-// Generate OTP (6 digits)
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
+import { isOtpDevMode } from '../utils/otp.js';
+import { createOtpChallenge, verifyOtpChallenge } from '../services/otpService.js';
+import { createSession } from '../services/sessionService.js';
+import { sendSms } from '../services/smsService.js';
 
 // Send OTP (Login/Signup)
 export const sendOtp = async (req, res) => {
@@ -41,43 +32,36 @@ export const sendOtp = async (req, res) => {
 
     console.log('✅ Valid phone number:', phoneNumber);
 
-    // Generate OTP (use static OTP if configured)
-    const otp = process.env.STATIC_OTP || generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    console.log('🔑 Generated OTP:', otp);
+    // Rate limits are checked before anything is created for the number
+    const otp = await createOtpChallenge('user', phoneNumber, { ip: req.ip });
 
     // Find or create user
     let user = await User.findOne({ phoneNumber });
 
     if (!user) {
       console.log('🆕 Creating new user');
-      user = await User.create({
-        phoneNumber,
-        otp,
-        otpExpiry,
-      });
+      user = await User.create({ phoneNumber });
       console.log('✅ New user created:', user._id);
     } else {
-      console.log('🔄 Updating existing user:', user._id);
-      user.otp = otp;
-      user.otpExpiry = otpExpiry;
-      await user.save();
-      console.log('✅ User updated');
+      console.log('🔄 Existing user:', user._id);
     }
 
-    // TODO: Send OTP via Twilio SMS
-    console.log(`📧 OTP for ${phoneNumber}: ${otp}`);
+    await sendSms({
+      to: phoneNumber,
+      template: 'otp',
+      params: { otp },
+      recipient: { type: 'user', id: user._id },
+    });
 
     console.log('✅ Sending response');
     res.status(200).json({
       success: true,
       message: 'OTP sent successfully',
-      // Return OTP in development or when static OTP is set
-      otp: (process.env.NODE_ENV === 'development' || process.env.STATIC_OTP) ? otp : undefined,
+      otp: isOtpDevMode() ? otp : undefined,
     });
   } catch (error) {
-    res.status(500).json({
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -88,7 +72,6 @@ export const sendOtp = async (req, res) => {
 export const verifyOtp = async (req, res) => {
   try {
     console.log('🔹 Verify OTP Request received');
-    console.log('Request Body:', req.body);
     
     const { phoneNumber, otp } = req.body;
 
@@ -112,38 +95,22 @@ export const verifyOtp = async (req, res) => {
     }
 
     console.log('✅ User found:', user._id);
-    console.log('🔑 Stored OTP:', user.otp);
-    console.log('🔑 Provided OTP:', otp);
 
-    // Check OTP expiry
-    if (user.otpExpiry < new Date()) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired',
-      });
-    }
-
-    // Verify OTP
-    if (user.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP',
-      });
-    }
+    // Throws on a wrong, expired or locked-out code
+    await verifyOtpChallenge('user', phoneNumber, otp, { ip: req.ip });
 
     // Mark user as verified
     user.isVerified = true;
-    user.otp = undefined;
-    user.otpExpiry = undefined;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Each login is its own device session
+    const { token, refreshToken } = await createSession('user', user._id, req);
 
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully',
       token,
+      refreshToken,
       user: {
         _id: user._id,
         phoneNumber: user.phoneNumber,
@@ -156,7 +123,8 @@ export const verifyOtp = async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -185,41 +153,23 @@ export const resendOtp = async (req, res) => {
     }
 
     // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
-
-    user.otp = otp;
-    user.otpExpiry = otpExpiry;
-    await user.save();
-
-    // TODO: Send OTP via Twilio SMS
-    console.log(`OTP for ${phoneNumber}: ${otp}`);
+    const otp = await createOtpChallenge('user', phoneNumber, { ip: req.ip });
 
-    res.status(200).json({
-      success: true,
-      message: 'OTP resent successfully',
-      // Remove this in production
-      otp: process.env.NODE_ENV === 'development' ? otp : undefined,
+    await sendSms({
+      to: phoneNumber,
+      template: 'otp',
+      params: { otp },
+      recipient: { type: 'user', id: user._id },
     });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  }
-};
 
-// Logout
-export const logout = async (req, res) => {
-  try {
-    // For token-based auth, we just need to confirm logout
-    // Client will clear the token from local storage
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully',
+      message: 'OTP resent successfully',
+      otp: isOtpDevMode() ? otp : undefined,
     });
   } catch (error) {
-    res.status(500).json({
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -1,54 +1,71 @@
 import Order from '../models/Order.js';
-import Service from '../models/Service.js';
 import User from '../models/User.js';
+import { placeOrder, changeOrderStatus } from '../services/orderService.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Create Booking
 export const createBooking = async (req, res) => {
   try {
-    const { serviceId, pickupDate, pickupTime, address, notes } = req.body;
+    const {
+      items,
+      serviceId,
+      slotId,
+      pickupDate,
+      pickupTime,
+      waitlist,
+      addressId,
+      address,
+      pincode,
+      location,
+      couponCode,
+      paymentMethod,
+      useWallet,
+      walletAmount,
+      notes,
+    } = req.body;
 
-    if (!serviceId || !pickupDate || !pickupTime) {
+    if ((!items && !serviceId) || (!slotId && (!pickupDate || !pickupTime))) {
       return res.status(400).json({
         success: false,
         message: 'Please provide all required fields',
       });
     }
 
-    // Get service details
-    const service = await Service.findById(serviceId);
-
-    if (!service) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found',
-      });
-    }
-
     // Get user details
     const user = await User.findById(req.user._id);
 
-    // Create order
-    const order = await Order.create({
-      userId: req.user._id,
+    // Create order (prices come from the Service catalog)
+    const { order, payment, walletPayment, checkout } = await placeOrder({
+      user,
+      items,
       serviceId,
-      serviceName: service.name,
+      slotId,
       pickupDate,
       pickupTime,
-      amount: service.price,
-      address: address || user.address,
+      waitlist,
+      addressId,
+      address,
+      pincode,
+      location,
+      couponCode,
+      paymentMethod,
+      useWallet,
+      walletAmount,
       notes,
-      customerName: user.name,
-      customerPhone: user.phoneNumber,
-      status: 'pending',
     });
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
+      message: order.pickupSlot.waitlisted
+        ? 'Pickup slot is full, booking added to the waitlist'
+        : 'Booking created successfully',
       order,
+      payment,
+      walletPayment,
+      checkout,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -96,17 +113,20 @@ export const getAllBookings = async (req, res) => {
   }
 };
 
-// Update Order Status
+// Update Order Status (Admin)
 export const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note, handoverCode, overrideReason, recipientName } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      orderId,
-      { status },
-      { new: true }
-    );
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required',
+      });
+    }
+
+    const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -115,7 +135,13 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // TODO: Send notification to user
+    await changeOrderStatus(order, status, {
+      actorType: 'admin',
+      actorId: req.admin._id,
+      note,
+      proof: { handoverCode, overrideReason, recipientName },
+      canOverrideDelivery: hasPermission(req.adminPermissions, 'orders:override-delivery'),
+    });
 
     res.status(200).json({
       success: true,
@@ -123,7 +149,7 @@ export const updateOrderStatus = async (req, res) => {
       order,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
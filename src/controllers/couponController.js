@@ -0,0 +1,290 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { applyCoupon } from '../services/couponService.js';
+import { priceLineItems, calculateTotals } from '../utils/orderPricing.js';
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minOrderValue',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'firstOrderOnly',
+  'applicableServices',
+  'isActive',
+];
+
+const pickCouponFields = (body) => {
+  const data = {};
+  COUPON_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Returns an error message or null
+const validateCoupon = (coupon) => {
+  if (!coupon.code || !coupon.discountType || coupon.discountValue === undefined) {
+    return 'Please provide code, discountType and discountValue';
+  }
+
+  if (coupon.discountType === 'percentage' && (coupon.discountValue <= 0 || coupon.discountValue > 100)) {
+    return 'Percentage discount must be between 0 and 100';
+  }
+
+  if (coupon.validFrom && coupon.validUntil && new Date(coupon.validFrom) >= new Date(coupon.validUntil)) {
+    return 'validUntil must be after validFrom';
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Preview a coupon against the items in the cart
+ * @route   POST /api/coupons/validate
+ * @access  Private
+ */
+export const validateCouponCode = async (req, res) => {
+  try {
+    const { code, items, serviceId } = req.body;
+
+    if (!code || (!items && !serviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a coupon code and items',
+      });
+    }
+
+    const lineItems = await priceLineItems(items || [{ serviceId, quantity: 1 }]);
+    const { coupon, discount } = await applyCoupon({ code, user: req.user, lineItems });
+    const totals = calculateTotals(lineItems);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+      },
+      discount,
+      totals,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to validate coupon',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/coupons
+ * @access  Admin
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      coupons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a coupon with its redemptions
+ * @route   GET /api/coupons/:id
+ * @access  Admin
+ */
+export const getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+      .populate('userId', 'name phoneNumber')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const totalDiscount = redemptions.reduce((sum, r) => sum + r.discount, 0);
+
+    res.status(200).json({
+      success: true,
+      coupon,
+      redemptions,
+      totalDiscount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/coupons
+ * @access  Admin
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const data = pickCouponFields(req.body);
+
+    const validationError = validateCoupon(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: String(data.code).trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon with this code already exists',
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...data,
+      createdBy: req.admin._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Admin
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    const data = pickCouponFields(req.body);
+
+    if (data.code && data.code.trim().toUpperCase() !== coupon.code) {
+      const existingCoupon = await Coupon.findOne({ code: data.code.trim().toUpperCase() });
+      if (existingCoupon) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon with this code already exists',
+        });
+      }
+    }
+
+    coupon.set(data);
+
+    const validationError = validateCoupon(coupon);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete coupon (deactivates it if it has been used)
+ * @route   DELETE /api/coupons/:id
+ * @access  Admin
+ */
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been used, so it was deactivated instead of deleted',
+        coupon,
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,108 @@
+import DeviceToken, { DEVICE_PLATFORMS } from '../models/DeviceToken.js';
+import { registerDevice, unregisterDevice } from '../services/notificationService.js';
+
+/**
+ * @desc    List devices registered for push
+ * @route   GET /api/user/devices
+ * @access  Private
+ */
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await DeviceToken.find({ userId: req.user._id })
+      .sort({ lastSeenAt: -1 })
+      .select('platform lastSeenAt createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      devices,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch devices',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Register this device's FCM token for push notifications
+ * @route   POST /api/user/devices
+ * @access  Private
+ */
+export const addDevice = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device token is required',
+      });
+    }
+
+    if (platform !== undefined && !DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        success: false,
+        message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`,
+      });
+    }
+
+    const device = await registerDevice(req.user._id, { token: token.trim(), platform });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered for notifications',
+      device: {
+        _id: device._id,
+        platform: device.platform,
+        lastSeenAt: device.lastSeenAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register device',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Stop push notifications to a device (e.g. on logout)
+ * @route   DELETE /api/user/devices
+ * @access  Private
+ */
+export const removeDevice = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device token is required',
+      });
+    }
+
+    const result = await unregisterDevice(req.user._id, token.trim());
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unregister device',
+      error: error.message,
+    });
+  }
+};
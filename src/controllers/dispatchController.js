@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import {
+  getDispatchBoard,
+  assignOrders,
+  unassignRider,
+  reassignRiderTasks,
+} from '../services/dispatchService.js';
+import sendError from '../utils/sendError.js';
+
+/**
+ * @desc    Dispatch board: slot fill, rider load and unassigned work for a day
+ * @route   GET /api/admin/dispatch
+ * @access  Admin
+ */
+export const getDispatch = async (req, res) => {
+  try {
+    const board = await getDispatchBoard(req.query.date);
+
+    res.status(200).json({
+      success: true,
+      ...board,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load dispatch board');
+  }
+};
+
+/**
+ * @desc    Assign pickups or deliveries to a rider (one order or many)
+ * @route   POST /api/admin/dispatch/assign
+ * @access  Admin
+ */
+export const assignToRider = async (req, res) => {
+  try {
+    const { orderId, orderIds, type, riderId } = req.body;
+    const ids = orderIds || (orderId ? [orderId] : []);
+
+    if (ids.length === 0 || !type || !riderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide orderId or orderIds, type and riderId',
+      });
+    }
+
+    const { rider, results } = await assignOrders({
+      orderIds: ids,
+      type,
+      riderId,
+      adminId: req.admin._id,
+    });
+    const assigned = results.filter((result) => result.success).length;
+
+    res.status(assigned > 0 ? 200 : 400).json({
+      success: assigned > 0,
+      message: `${assigned} of ${ids.length} orders assigned to ${rider.name}`,
+      results,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign rider');
+  }
+};
+
+/**
+ * @desc    Take the rider off an order's pickup or delivery
+ * @route   POST /api/admin/dispatch/unassign
+ * @access  Admin
+ */
+export const unassignFromRider = async (req, res) => {
+  try {
+    const { orderId, type } = req.body;
+
+    const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    await unassignRider(order, type, { adminId: req.admin._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rider unassigned',
+      order,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to unassign rider');
+  }
+};
+
+/**
+ * @desc    Hand an absent rider's open tasks to another rider
+ * @route   POST /api/admin/dispatch/reassign
+ * @access  Admin
+ */
+export const reassignTasks = async (req, res) => {
+  try {
+    const { fromRiderId, toRiderId, date, type } = req.body;
+
+    if (!fromRiderId || !toRiderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide fromRiderId and toRiderId',
+      });
+    }
+
+    const { toRider, moved, failed } = await reassignRiderTasks({
+      fromRiderId,
+      toRiderId,
+      date,
+      type,
+      adminId: req.admin._id,
+    });
+
+    const ok = failed.length === 0 || moved.pickup + moved.delivery > 0;
+
+    res.status(ok ? 200 : 400).json({
+      success: ok,
+      message: `Moved ${moved.pickup} pickups and ${moved.delivery} deliveries to ${toRider.name}`
+        + (failed.length > 0 ? `; ${failed.length} could not be moved` : ''),
+      moved,
+      failed,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reassign tasks');
+  }
+};
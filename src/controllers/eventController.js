@@ -0,0 +1,16 @@
+import { openEventStream } from '../services/realtime.js';
+
+// @desc    Stream live updates for the user's own orders
+// @route   GET /api/events/orders
+// @access  Private
+export const streamMyOrderEvents = (req, res) => {
+  const userId = req.user._id.toString();
+  openEventStream(req, res, (event) => event.userId === userId);
+};
+
+// @desc    Stream every new order and order update
+// @route   GET /api/events/admin
+// @access  Private/Admin
+export const streamAdminOrderEvents = (req, res) => {
+  openEventStream(req, res, () => true);
+};
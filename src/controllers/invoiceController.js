@@ -0,0 +1,103 @@
+import Invoice from '../models/Invoice.js';
+import { sendInvoice } from '../utils/invoiceRenderer.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @desc    List invoices issued in a date range, with tax totals
+ * @route   GET /api/invoices
+ * @access  Admin
+ */
+export const getInvoices = async (req, res) => {
+  try {
+    const { from, to, financialYear, page = 1, limit = 50 } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+
+    const query = {};
+    if (from || to) {
+      // Whole days in server local time, both ends inclusive
+      query.issuedAt = {};
+      if (from) query.issuedAt.$gte = new Date(`${from}T00:00:00`);
+      if (to) query.issuedAt.$lte = new Date(`${to}T23:59:59.999`);
+    }
+    if (financialYear) query.financialYear = financialYear;
+
+    const [invoices, total, [totals]] = await Promise.all([
+      Invoice.find(query)
+        .select('-seller -lines')
+        .sort({ issuedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(query),
+      Invoice.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            taxableValue: { $sum: '$taxableValue' },
+            cgst: { $sum: '$cgst' },
+            sgst: { $sum: '$sgst' },
+            igst: { $sum: '$igst' },
+            totalTax: { $sum: '$totalTax' },
+            grandTotal: { $sum: '$grandTotal' },
+          },
+        },
+        { $project: { _id: 0 } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: invoices,
+      totals: totals || {
+        taxableValue: 0,
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
+        totalTax: 0,
+        grandTotal: 0,
+      },
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a single invoice as JSON, HTML or PDF
+ * @route   GET /api/invoices/:id
+ * @access  Admin
+ */
+export const getInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    sendInvoice(res, invoice, req.query.format);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,255 @@
+import Payment, { PAYMENT_METHODS, PAYMENT_STATUSES } from '../models/Payment.js';
+import Order from '../models/Order.js';
+import {
+  handleGatewayEvent,
+  getCollectedTotals,
+} from '../services/paymentService.js';
+import { getPaymentGateway } from '../services/payments/index.js';
+
+const MAX_PAGE_SIZE = 200;
+
+// undefined when absent, null when not a valid date
+const parseDateParam = (value) => {
+  if (value === undefined) return undefined;
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * @desc    Receive payment gateway webhooks
+ * @route   POST /api/payments/webhook
+ * @access  Public (signature verified)
+ */
+export const paymentWebhook = async (req, res) => {
+  try {
+    const gateway = getPaymentGateway();
+
+    if (!gateway.verifyWebhook(req.rawBody, req.headers)) {
+      console.log('❌ Payment webhook signature mismatch');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature',
+      });
+    }
+
+    const event = gateway.parseWebhookEvent(req.body);
+    const result = await handleGatewayEvent(gateway.name, event);
+
+    console.log('✅ Payment webhook processed:', event.eventId, event.type, result.ignored ? `(ignored: ${result.reason})` : '');
+
+    // Always acknowledge a verified event so the gateway stops retrying
+    res.status(200).json({
+      success: true,
+      received: true,
+      ignored: result.ignored,
+      reason: result.reason,
+    });
+  } catch (error) {
+    console.error('❌ Error processing payment webhook:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get payments for one of the user's orders
+ * @route   GET /api/payments/order/:orderId
+ * @access  Private
+ */
+export const getOrderPayments = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const payments = await Payment.find({ orderId: order._id })
+      .select('-events')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      paymentStatus: order.paymentStatus,
+      payments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List payments with filters
+ * @route   GET /api/payments
+ * @access  Admin
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const { status, method, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    // Only known filters, as plain values, reach the query
+    const query = {};
+    if (status !== undefined) {
+      if (!PAYMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`,
+        });
+      }
+      query.status = status;
+    }
+    if (method !== undefined) {
+      if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({
+          success: false,
+          message: `Method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+        });
+      }
+      query.method = method;
+    }
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates',
+      });
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .populate('userId', 'name phoneNumber')
+        .populate('orderId', 'status total')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Compare money collected with delivered order value
+ * @route   GET /api/payments/reconciliation
+ * @access  Admin
+ */
+export const getReconciliation = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const dateMatch = {};
+    if (from) dateMatch.$gte = new Date(from);
+    if (to) dateMatch.$lte = new Date(to);
+    const createdAt = Object.keys(dateMatch).length > 0 ? { createdAt: dateMatch } : {};
+
+    const [collected, byMethod, delivered] = await Promise.all([
+      getCollectedTotals(createdAt),
+      Payment.aggregate([
+        { $match: { ...createdAt, status: { $in: ['captured', 'refunded'] } } },
+        {
+          $group: {
+            _id: '$method',
+            captured: { $sum: '$amount' },
+            refunded: { $sum: '$refundedAmount' },
+          },
+        },
+      ]),
+      Order.aggregate([
+        { $match: { ...createdAt, status: 'delivered' } },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const deliveredValue = delivered[0]?.total || 0;
+
+    res.status(200).json({
+      success: true,
+      reconciliation: {
+        deliveredOrderValue: deliveredValue,
+        deliveredOrders: delivered[0]?.count || 0,
+        collected,
+        byMethod,
+        difference: deliveredValue - collected.net,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reconciliation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Simulate a gateway webhook for a payment (mock gateway, non-production)
+ * @route   POST /api/payments/:id/simulate
+ * @access  Admin
+ */
+export const simulatePaymentEvent = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found',
+      });
+    }
+
+    const { event = 'payment.captured', reason } = req.body;
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || payment.gateway !== 'mock') {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock payment not found',
+      });
+    }
+
+    const gateway = getPaymentGateway('mock');
+    const webhook = gateway.buildEvent({ payment, event, reason });
+    const result = await handleGatewayEvent(gateway.name, gateway.parseWebhookEvent(webhook.body));
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook simulated',
+      webhook,
+      ignored: result.ignored,
+      payment: result.payment,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,262 @@
+import Refund, {
+  REFUND_CATEGORIES,
+  REFUND_DESTINATIONS,
+  REFUND_STATUSES,
+} from '../models/Refund.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import {
+  createRefund,
+  getRefundableAmount,
+  approveRefund,
+  rejectRefund,
+  retryCancellationRefunds,
+} from '../services/refundService.js';
+
+/**
+ * @desc    Get the logged in user's refunds
+ * @route   GET /api/refunds/my
+ * @access  Private
+ */
+export const getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await Refund.find({ userId: req.user._id })
+      .select('-reviewedBy -reviewNote')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      refunds,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List refunds, optionally by status or order
+ * @route   GET /api/refunds
+ * @access  Admin
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const { status, orderId, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status && REFUND_STATUSES.includes(status)) query.status = status;
+    if (orderId) query.orderId = orderId;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .populate('userId', 'name phoneNumber')
+        .populate('orderId', 'status total')
+        .populate('reviewedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Refund.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: refunds,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Raise a full or partial refund on an order
+ * @route   POST /api/refunds
+ * @access  Admin
+ */
+export const createRefundRequest = async (req, res) => {
+  try {
+    const {
+      orderId,
+      paymentId,
+      amount,
+      category = 'other',
+      reason,
+      destination = 'original',
+    } = req.body;
+
+    if (!orderId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide orderId and reason',
+      });
+    }
+
+    if (!REFUND_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${REFUND_CATEGORIES.join(', ')}`,
+      });
+    }
+
+    if (!REFUND_DESTINATIONS.includes(destination)) {
+      return res.status(400).json({
+        success: false,
+        message: `Destination must be one of: ${REFUND_DESTINATIONS.join(', ')}`,
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    let payment;
+    if (paymentId) {
+      payment = await Payment.findOne({ _id: paymentId, orderId: order._id });
+    } else {
+      // Default to the first payment that still has money on it
+      const payments = await Payment.find({ orderId: order._id, status: 'captured' })
+        .sort({ createdAt: 1 });
+      for (const candidate of payments) {
+        if (await getRefundableAmount(candidate) > 0) {
+          payment = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'No refundable payment found for this order',
+      });
+    }
+
+    const refund = await createRefund({
+      order,
+      payment,
+      amount,
+      category,
+      reason,
+      destination,
+      requestedBy: { type: 'admin', id: req.admin._id },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested, awaiting approval',
+      refund,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create refund',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Approve and process a pending refund
+ * @route   PATCH /api/refunds/:id/approve
+ * @access  Admin
+ */
+export const approveRefundRequest = async (req, res) => {
+  try {
+    const refund = await approveRefund(req.params.id, {
+      adminId: req.admin._id,
+      note: req.body.note,
+    });
+
+    if (refund.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: `Refund failed: ${refund.failureReason}`,
+        refund,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund processed successfully',
+      refund,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to approve refund',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reject a pending refund
+ * @route   PATCH /api/refunds/:id/reject
+ * @access  Admin
+ */
+export const rejectRefundRequest = async (req, res) => {
+  try {
+    if (!req.body.note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a note explaining the rejection',
+      });
+    }
+
+    const refund = await rejectRefund(req.params.id, {
+      adminId: req.admin._id,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund rejected',
+      refund,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to reject refund',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Raise cancellation refunds that failed when the order was cancelled
+ * @route   POST /api/refunds/retry-cancellations
+ * @access  Admin
+ */
+export const retryCancellationRefundRequests = async (req, res) => {
+  try {
+    const { settled, failed } = await retryCancellationRefunds();
+
+    res.status(200).json({
+      success: true,
+      message: `Raised refunds for ${settled} cancelled order${settled === 1 ? '' : 's'}`,
+      settled,
+      failed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry cancellation refunds',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,427 @@
+import Rider from '../models/Rider.js';
+import { isOtpDevMode } from '../utils/otp.js';
+import { createOtpChallenge, verifyOtpChallenge } from '../services/otpService.js';
+import { createSession, revokeAllSessions } from '../services/sessionService.js';
+import { sendSms } from '../services/smsService.js';
+import {
+  getRiderTasks,
+  getRiderOrder,
+  markArrived,
+  confirmPickup,
+  startDelivery,
+  markDelivered,
+} from '../services/riderTaskService.js';
+import { recordPing, getLiveRiderMap, getRiderTrail } from '../services/riderLocationService.js';
+import sendError from '../utils/sendError.js';
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+const RIDER_FIELDS = ['name', 'phoneNumber', 'vehicleNumber', 'isActive'];
+
+const pickRiderFields = (body) => {
+  const data = {};
+  RIDER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * @desc    Send a login OTP to a registered rider
+ * @route   POST /api/riders/auth/login
+ * @access  Public
+ */
+export const sendRiderOtp = async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber || !PHONE_PATTERN.test(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid 10 digit phone number',
+      });
+    }
+
+    // Rate limits come first so unknown numbers can't be probed freely
+    const otp = await createOtpChallenge('rider', phoneNumber, { ip: req.ip });
+
+    // Riders are registered by admins; there is no self sign-up
+    const rider = await Rider.findOne({ phoneNumber, isActive: true });
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rider not found',
+      });
+    }
+
+    await sendSms({
+      to: phoneNumber,
+      template: 'rider-otp',
+      params: { otp },
+      recipient: { type: 'rider', id: rider._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent successfully',
+      otp: isOtpDevMode() ? otp : undefined,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to send OTP');
+  }
+};
+
+/**
+ * @desc    Verify a rider's OTP and issue a rider token
+ * @route   POST /api/riders/auth/verify-otp
+ * @access  Public
+ */
+export const verifyRiderOtp = async (req, res) => {
+  try {
+    const { phoneNumber, otp } = req.body;
+
+    if (!phoneNumber || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number and OTP are required',
+      });
+    }
+
+    // Throws on a wrong, expired or locked-out code
+    await verifyOtpChallenge('rider', phoneNumber, otp, { ip: req.ip });
+
+    const rider = await Rider.findOne({ phoneNumber, isActive: true });
+
+    if (!rider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP',
+      });
+    }
+
+    rider.lastLoginAt = new Date();
+    await rider.save();
+
+    const { token, refreshToken } = await createSession('rider', rider._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP verified successfully',
+      token,
+      refreshToken,
+      rider: {
+        _id: rider._id,
+        name: rider.name,
+        phoneNumber: rider.phoneNumber,
+        vehicleNumber: rider.vehicleNumber,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify OTP');
+  }
+};
+
+/**
+ * @desc    Get the logged in rider's profile
+ * @route   GET /api/riders/me
+ * @access  Rider
+ */
+export const getRiderProfile = async (req, res) => {
+  const { _id, name, phoneNumber, vehicleNumber, lastLoginAt } = req.rider;
+
+  res.status(200).json({
+    success: true,
+    rider: { _id, name, phoneNumber, vehicleNumber, lastLoginAt },
+  });
+};
+
+/**
+ * @desc    Get the rider's pickups and deliveries for a day, in riding order
+ * @route   GET /api/riders/tasks
+ * @access  Rider
+ */
+export const getMyTasks = async (req, res) => {
+  try {
+    const { date, lat, lng } = req.query;
+    const start = lat !== undefined && lng !== undefined
+      ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+      : undefined;
+
+    const tasks = await getRiderTasks(req.rider._id, date, { start });
+
+    res.status(200).json({
+      success: true,
+      ...tasks,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tasks');
+  }
+};
+
+/**
+ * @desc    Mark arrival at the customer's door for a pickup or delivery
+ * @route   PATCH /api/riders/tasks/:orderId/arrive
+ * @access  Rider
+ */
+export const arriveAtTask = async (req, res) => {
+  try {
+    const { type } = req.body;
+    const order = await getRiderOrder(req.params.orderId, req.rider._id, type);
+    await markArrived(order, type);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arrival recorded',
+      order,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record arrival');
+  }
+};
+
+/**
+ * @desc    Confirm pickup with the number of pieces collected
+ * @route   PATCH /api/riders/tasks/:orderId/pickup
+ * @access  Rider
+ */
+export const confirmTaskPickup = async (req, res) => {
+  try {
+    const order = await getRiderOrder(req.params.orderId, req.rider._id, 'pickup');
+    await confirmPickup(order, req.rider, req.body.itemCount);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup confirmed',
+      order,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to confirm pickup');
+  }
+};
+
+/**
+ * @desc    Leave the store with an order for delivery
+ * @route   PATCH /api/riders/tasks/:orderId/start-delivery
+ * @access  Rider
+ */
+export const startTaskDelivery = async (req, res) => {
+  try {
+    const order = await getRiderOrder(req.params.orderId, req.rider._id, 'delivery');
+    await startDelivery(order, req.rider);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order is out for delivery',
+      order,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to start delivery');
+  }
+};
+
+/**
+ * @desc    Mark an order delivered with the customer's handover code
+ * @route   PATCH /api/riders/tasks/:orderId/deliver
+ * @access  Rider
+ */
+export const completeTaskDelivery = async (req, res) => {
+  try {
+    const order = await getRiderOrder(req.params.orderId, req.rider._id, 'delivery');
+    const { note, handoverCode, recipientName } = req.body;
+    await markDelivered(order, req.rider, {
+      note,
+      handoverCode,
+      recipientName,
+      photo: req.file,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order delivered',
+      order,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark delivered');
+  }
+};
+
+/**
+ * @desc    Report the rider's current GPS position
+ * @route   POST /api/riders/location
+ * @access  Rider
+ */
+export const postLocation = async (req, res) => {
+  try {
+    const ping = await recordPing(req.rider, req.body);
+
+    res.status(201).json({
+      success: true,
+      recordedAt: ping.recordedAt,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record location');
+  }
+};
+
+/**
+ * @desc    Live map of active riders' last known positions
+ * @route   GET /api/riders/live
+ * @access  Admin
+ */
+export const getLiveMap = async (req, res) => {
+  try {
+    const riders = await getLiveRiderMap();
+
+    res.status(200).json({
+      success: true,
+      count: riders.length,
+      riders,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load rider locations');
+  }
+};
+
+/**
+ * @desc    A rider's recent GPS trail
+ * @route   GET /api/riders/:id/trail
+ * @access  Admin
+ */
+export const getTrail = async (req, res) => {
+  try {
+    const rider = await Rider.findById(req.params.id).select('name');
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rider not found',
+      });
+    }
+
+    const points = await getRiderTrail(rider._id, { since: req.query.since });
+
+    res.status(200).json({
+      success: true,
+      rider,
+      count: points.length,
+      points,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load rider trail');
+  }
+};
+
+/**
+ * @desc    List riders
+ * @route   GET /api/riders
+ * @access  Admin
+ */
+export const getRiders = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const riders = await Rider.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: riders.length,
+      data: riders,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch riders');
+  }
+};
+
+/**
+ * @desc    Register a rider
+ * @route   POST /api/riders
+ * @access  Admin
+ */
+export const createRider = async (req, res) => {
+  try {
+    const data = pickRiderFields(req.body);
+
+    if (!data.name || !data.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name and phoneNumber',
+      });
+    }
+
+    if (await Rider.exists({ phoneNumber: data.phoneNumber })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rider with this phone number already exists',
+      });
+    }
+
+    const rider = await Rider.create({ ...data, createdBy: req.admin._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rider created successfully',
+      rider,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    sendError(res, error, 'Failed to create rider');
+  }
+};
+
+/**
+ * @desc    Update or deactivate a rider
+ * @route   PUT /api/riders/:id
+ * @access  Admin
+ */
+export const updateRider = async (req, res) => {
+  try {
+    const rider = await Rider.findById(req.params.id);
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rider not found',
+      });
+    }
+
+    const data = pickRiderFields(req.body);
+
+    if (data.phoneNumber && data.phoneNumber !== rider.phoneNumber
+      && await Rider.exists({ phoneNumber: data.phoneNumber })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rider with this phone number already exists',
+      });
+    }
+
+    const deactivating = rider.isActive && data.isActive === false;
+
+    Object.assign(rider, data);
+    await rider.save();
+
+    // A deactivated rider's devices shouldn't come back to life on reactivation
+    if (deactivating) {
+      await revokeAllSessions('rider', rider._id, 'deactivated');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rider updated successfully',
+      rider,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    sendError(res, error, 'Failed to update rider');
+  }
+};
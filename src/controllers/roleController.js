@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../utils/permissions.js';
+import {
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignAdminRole,
+} from '../services/roleService.js';
+import sendError from '../utils/sendError.js';
+
+/**
+ * @desc    List every permission a role can grant
+ * @route   GET /api/admin/permissions
+ * @access  Super admin (roles:manage)
+ */
+export const getPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    permissions: PERMISSIONS,
+  });
+};
+
+/**
+ * @desc    List built-in and custom roles with their permissions
+ * @route   GET /api/admin/roles
+ * @access  Super admin (roles:manage)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await listRoles();
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      roles,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch roles');
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/admin/roles
+ * @access  Super admin (roles:manage)
+ */
+export const createAdminRole = async (req, res) => {
+  try {
+    const role = await createRole(req.body, req.admin._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    sendError(res, error, 'Failed to create role');
+  }
+};
+
+/**
+ * @desc    Change a role's description or permissions
+ * @route   PUT /api/admin/roles/:name
+ * @access  Super admin (roles:manage)
+ */
+export const updateAdminRole = async (req, res) => {
+  try {
+    const role = await updateRole(req.params.name, req.body, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      role,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update role');
+  }
+};
+
+/**
+ * @desc    Delete a custom role, or reset a built-in role to its defaults
+ * @route   DELETE /api/admin/roles/:name
+ * @access  Super admin (roles:manage)
+ */
+export const deleteAdminRole = async (req, res) => {
+  try {
+    const { reset } = await deleteRole(req.params.name);
+
+    res.status(200).json({
+      success: true,
+      message: reset ? 'Role reset to its default permissions' : 'Role deleted successfully',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete role');
+  }
+};
+
+/**
+ * @desc    Change an admin's role
+ * @route   PATCH /api/admin/admins/:id/role
+ * @access  Super admin (roles:manage)
+ */
+export const changeAdminRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required',
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    const admin = await assignAdminRole(req.params.id, role, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin role updated',
+      admin: {
+        _id: admin._id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update admin role');
+  }
+};
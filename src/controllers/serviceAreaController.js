@@ -0,0 +1,239 @@
+import ServiceArea from '../models/ServiceArea.js';
+import { findServiceArea, getDeliveryFee } from '../services/serviceAreaService.js';
+import { isValidCoordinate } from '../utils/geo.js';
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const AREA_FIELDS = [
+  'name',
+  'type',
+  'pincodes',
+  'center',
+  'radiusKm',
+  'polygon',
+  'deliveryFee',
+  'freeDeliveryAbove',
+  'minOrderValue',
+  'enabledServices',
+  'priority',
+  'isActive',
+];
+
+const pickAreaFields = (body) => {
+  const data = {};
+  AREA_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Check the shape required by the zone type; returns an error message or null
+const validateArea = (area) => {
+  if (!area.name || !area.type) {
+    return 'Please provide name and type';
+  }
+
+  if (area.type === 'pincode') {
+    if (!Array.isArray(area.pincodes) || area.pincodes.length === 0) {
+      return 'Pincode zones need at least one pincode';
+    }
+    if (area.pincodes.some((p) => !PINCODE_PATTERN.test(p))) {
+      return 'Pincodes must be 6 digits';
+    }
+  } else if (area.type === 'radius') {
+    if (!isValidCoordinate(area.center) || !(area.radiusKm > 0)) {
+      return 'Radius zones need a center and a positive radiusKm';
+    }
+  } else if (area.type === 'polygon') {
+    if (!Array.isArray(area.polygon) || area.polygon.length < 3
+      || !area.polygon.every(isValidCoordinate)) {
+      return 'Polygon zones need at least 3 valid points';
+    }
+  } else {
+    return 'Type must be pincode, radius or polygon';
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Check whether a pincode or location is serviceable
+ * @route   GET /api/service-areas/check
+ * @access  Public
+ */
+export const checkServiceArea = async (req, res) => {
+  try {
+    const { pincode, lat, lng, subtotal } = req.query;
+    const location = lat !== undefined && lng !== undefined
+      ? { lat: Number(lat), lng: Number(lng) }
+      : undefined;
+
+    if (!pincode && !isValidCoordinate(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a pincode or lat/lng',
+      });
+    }
+
+    const area = await findServiceArea({ pincode, location });
+
+    if (!area) {
+      return res.status(200).json({
+        success: true,
+        serviceable: false,
+        message: 'Sorry, we do not serve this area yet',
+      });
+    }
+
+    const orderValue = Number(subtotal) || 0;
+
+    res.status(200).json({
+      success: true,
+      serviceable: true,
+      area: {
+        _id: area._id,
+        name: area.name,
+        deliveryFee: area.deliveryFee,
+        freeDeliveryAbove: area.freeDeliveryAbove,
+        minOrderValue: area.minOrderValue,
+        enabledServices: area.enabledServices,
+      },
+      deliveryFee: subtotal !== undefined ? getDeliveryFee(area, orderValue) : area.deliveryFee,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check service area',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all service areas
+ * @route   GET /api/service-areas
+ * @access  Admin
+ */
+export const getServiceAreas = async (req, res) => {
+  try {
+    const areas = await ServiceArea.find()
+      .populate('enabledServices', 'name')
+      .sort({ priority: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: areas.length,
+      areas,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service areas',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create service area
+ * @route   POST /api/service-areas
+ * @access  Admin
+ */
+export const createServiceArea = async (req, res) => {
+  try {
+    const data = pickAreaFields(req.body);
+
+    const validationError = validateArea(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const area = await ServiceArea.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service area created successfully',
+      area,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create service area',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update service area
+ * @route   PUT /api/service-areas/:id
+ * @access  Admin
+ */
+export const updateServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.findById(req.params.id);
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found',
+      });
+    }
+
+    area.set(pickAreaFields(req.body));
+
+    const validationError = validateArea(area);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    await area.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area updated successfully',
+      area,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service area',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete service area
+ * @route   DELETE /api/service-areas/:id
+ * @access  Admin
+ */
+export const deleteServiceArea = async (req, res) => {
+  try {
+    const area = await ServiceArea.findByIdAndDelete(req.params.id);
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service area not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Service area deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete service area',
+      error: error.message,
+    });
+  }
+};
@@ -84,7 +84,18 @@ export const getServiceById = async (req, res) => {
  */
 export const createService = async (req, res) => {
   try {
-    const { name, description, price, icon, image, estimatedDays } = req.body;
+    const {
+      name,
+      description,
+      price,
+      icon,
+      image,
+      estimatedDays,
+      garmentPrices,
+      addOns,
+      taxRate,
+      sacCode,
+    } = req.body;
 
     // Validation
     if (!name || !description || !price) {
@@ -118,6 +129,10 @@ export const createService = async (req, res) => {
       icon,
       image,
       estimatedDays: estimatedDays || 2,
+      garmentPrices,
+      addOns,
+      taxRate,
+      sacCode,
       isActive: true,
     });
 
@@ -142,8 +157,19 @@ export const createService = async (req, res) => {
  */
 export const updateService = async (req, res) => {
   try {
-    const { name, description, price, icon, image, estimatedDays, isActive } =
-      req.body;
+    const {
+      name,
+      description,
+      price,
+      icon,
+      image,
+      estimatedDays,
+      isActive,
+      garmentPrices,
+      addOns,
+      taxRate,
+      sacCode,
+    } = req.body;
 
     // Find service
     let service = await Service.findById(req.params.id);
@@ -182,6 +208,10 @@ export const updateService = async (req, res) => {
     if (image !== undefined) service.image = image;
     if (estimatedDays !== undefined) service.estimatedDays = estimatedDays;
     if (isActive !== undefined) service.isActive = isActive;
+    if (garmentPrices !== undefined) service.garmentPrices = garmentPrices;
+    if (addOns !== undefined) service.addOns = addOns;
+    if (taxRate !== undefined) service.taxRate = taxRate;
+    if (sacCode !== undefined) service.sacCode = sacCode;
 
     await service.save();
 
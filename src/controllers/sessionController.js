@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import {
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} from '../services/sessionService.js';
+import sendError from '../utils/sendError.js';
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshTokens = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const tokens = await refreshSession(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokens,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh token');
+  }
+};
+
+/**
+ * @desc    End the current session
+ * @route   POST /api/auth/logout, /api/auth/admin/logout, /api/riders/auth/logout
+ * @access  Private
+ */
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.auth.sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to log out');
+  }
+};
+
+/**
+ * @desc    List signed-in devices
+ * @route   GET /api/auth/sessions, /api/auth/admin/sessions, /api/riders/auth/sessions
+ * @access  Private
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.auth.type, req.auth.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.auth.sessionId),
+      })),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch sessions');
+  }
+};
+
+/**
+ * @desc    Sign out one device, e.g. a lost phone
+ * @route   DELETE /api/auth/sessions/:sessionId (and the admin and rider equivalents)
+ * @access  Private
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const result = await revokeSession(sessionId, 'revoked', {
+      subjectType: req.auth.type,
+      subjectId: req.auth.id,
+    });
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke session');
+  }
+};
+
+/**
+ * @desc    Sign out every other device
+ * @route   DELETE /api/auth/sessions (and the admin and rider equivalents)
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.auth.type, req.auth.id, 'revoked', {
+      except: req.auth.sessionId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke sessions');
+  }
+};
+
+/**
+ * @desc    Sign a customer out of every device
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @access  Private/Admin
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const result = await revokeAllSessions('user', req.params.id, 'revoked-by-admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'User signed out of all devices',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke sessions');
+  }
+};
+
+/**
+ * @desc    Sign a rider out of every device
+ * @route   DELETE /api/riders/:id/sessions
+ * @access  Private/Admin
+ */
+export const revokeRiderSessions = async (req, res) => {
+  try {
+    const result = await revokeAllSessions('rider', req.params.id, 'revoked-by-admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'Rider signed out of all devices',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke sessions');
+  }
+};
@@ -0,0 +1,389 @@
+import PickupSlot from '../models/PickupSlot.js';
+import BlackoutDate from '../models/BlackoutDate.js';
+import { toSlotDate, hasSlotStarted, localToday } from '../services/slotService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AVAILABILITY_DAYS = 14;
+const MAX_BULK_DAYS = 62;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return 'Please provide at least one time window';
+  }
+
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window.startTime) || !TIME_PATTERN.test(window.endTime)) {
+      return 'Time windows must use HH:mm format';
+    }
+    if (window.startTime >= window.endTime) {
+      return 'Window end time must be after start time';
+    }
+    if (!Number.isInteger(window.capacity) || window.capacity < 0) {
+      return 'Window capacity must be a non-negative whole number';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get bookable pickup slots for the next few days
+ * @route   GET /api/slots/available
+ * @access  Public
+ */
+export const getAvailableSlots = async (req, res) => {
+  try {
+    const from = req.query.date ? toSlotDate(req.query.date) : localToday();
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_AVAILABILITY_DAYS);
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    const [slots, blackouts] = await Promise.all([
+      PickupSlot.find({ date: { $gte: from, $lt: to }, isActive: true })
+        .sort({ date: 1, startTime: 1 }),
+      BlackoutDate.find({ date: { $gte: from, $lt: to } }),
+    ]);
+
+    const blackoutKeys = new Set(blackouts.map((b) => b.date.getTime()));
+
+    const availability = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(from.getTime() + i * DAY_MS);
+      const isBlackout = blackoutKeys.has(date.getTime());
+
+      const daySlots = isBlackout
+        ? []
+        : slots
+          .filter((slot) => slot.date.getTime() === date.getTime() && !hasSlotStarted(slot))
+          .map((slot) => ({
+            slotId: slot._id,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            available: Math.max(slot.capacity - slot.bookedCount, 0),
+            isFull: slot.bookedCount >= slot.capacity,
+          }));
+
+      availability.push({
+        date: date.toISOString().slice(0, 10),
+        isBlackout,
+        slots: daySlots,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      availability,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch available slots',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get configured slots with booking counts for a date range
+ * @route   GET /api/slots
+ * @access  Admin
+ */
+export const getSlots = async (req, res) => {
+  try {
+    const from = req.query.from ? toSlotDate(req.query.from) : localToday();
+    const to = req.query.to
+      ? new Date(toSlotDate(req.query.to).getTime() + DAY_MS)
+      : new Date(from.getTime() + 7 * DAY_MS);
+
+    const slots = await PickupSlot.find({ date: { $gte: from, $lt: to } })
+      .sort({ date: 1, startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      slots,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch slots',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create or update slot windows for every day in a date range
+ * @route   POST /api/slots
+ * @access  Admin
+ */
+export const createSlots = async (req, res) => {
+  try {
+    const { from, to, daysOfWeek, windows } = req.body;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide from and to dates',
+      });
+    }
+
+    const windowError = validateWindows(windows);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+      });
+    }
+
+    const start = toSlotDate(from);
+    const end = toSlotDate(to);
+    const dayCount = Math.round((end - start) / DAY_MS) + 1;
+
+    if (dayCount < 1 || dayCount > MAX_BULK_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must cover between 1 and ${MAX_BULK_DAYS} days`,
+      });
+    }
+
+    const operations = [];
+    for (let i = 0; i < dayCount; i++) {
+      const date = new Date(start.getTime() + i * DAY_MS);
+
+      if (Array.isArray(daysOfWeek) && !daysOfWeek.includes(date.getUTCDay())) {
+        continue;
+      }
+
+      for (const window of windows) {
+        operations.push({
+          updateOne: {
+            filter: { date, startTime: window.startTime },
+            update: {
+              $set: {
+                endTime: window.endTime,
+                capacity: window.capacity,
+                isActive: true,
+              },
+            },
+            upsert: true,
+          },
+        });
+      }
+    }
+
+    const result = operations.length > 0
+      ? await PickupSlot.bulkWrite(operations)
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    res.status(201).json({
+      success: true,
+      message: 'Pickup slots saved successfully',
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to save slots',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a single slot's capacity or window
+ * @route   PUT /api/slots/:id
+ * @access  Admin
+ */
+export const updateSlot = async (req, res) => {
+  try {
+    const { capacity, endTime, isActive } = req.body;
+
+    const slot = await PickupSlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup slot not found',
+      });
+    }
+
+    if (capacity !== undefined) {
+      if (!Number.isInteger(capacity) || capacity < slot.bookedCount) {
+        return res.status(400).json({
+          success: false,
+          message: `Capacity cannot be lower than the ${slot.bookedCount} orders already booked`,
+        });
+      }
+      slot.capacity = capacity;
+    }
+
+    if (endTime !== undefined) {
+      if (!TIME_PATTERN.test(endTime) || endTime <= slot.startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'Window end time must be after start time',
+        });
+      }
+      slot.endTime = endTime;
+    }
+
+    if (isActive !== undefined) slot.isActive = isActive;
+
+    await slot.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup slot updated successfully',
+      slot,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update slot',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a slot (deactivates it if orders are already booked)
+ * @route   DELETE /api/slots/:id
+ * @access  Admin
+ */
+export const deleteSlot = async (req, res) => {
+  try {
+    const slot = await PickupSlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup slot not found',
+      });
+    }
+
+    if (slot.bookedCount > 0 || slot.waitlistCount > 0) {
+      slot.isActive = false;
+      await slot.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Slot has bookings, so it was deactivated instead of deleted',
+        slot,
+      });
+    }
+
+    await slot.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup slot deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete slot',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get blackout dates
+ * @route   GET /api/slots/blackouts
+ * @access  Admin
+ */
+export const getBlackouts = async (req, res) => {
+  try {
+    const blackouts = await BlackoutDate.find({ date: { $gte: localToday() } })
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: blackouts.length,
+      blackouts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blackout dates',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Block pickups for a date
+ * @route   POST /api/slots/blackouts
+ * @access  Admin
+ */
+export const createBlackout = async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a date',
+      });
+    }
+
+    const blackoutDate = toSlotDate(date);
+
+    const existing = await BlackoutDate.findOne({ date: blackoutDate });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This date is already blacked out',
+      });
+    }
+
+    const blackout = await BlackoutDate.create({
+      date: blackoutDate,
+      reason,
+      createdBy: req.admin._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout date added successfully',
+      blackout,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to add blackout date',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Remove a blackout date
+ * @route   DELETE /api/slots/blackouts/:id
+ * @access  Admin
+ */
+export const deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await BlackoutDate.findByIdAndDelete(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blackout date not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Blackout date removed successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove blackout date',
+      error: error.message,
+    });
+  }
+};
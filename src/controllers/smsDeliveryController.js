@@ -0,0 +1,76 @@
+import SmsMessage, { SMS_STATUSES } from '../models/SmsMessage.js';
+import { getSmsSender } from '../services/sms/index.js';
+import { updateDeliveryStatus } from '../services/smsService.js';
+
+/**
+ * @desc    Receive delivery receipts from the SMS provider
+ * @route   POST /api/sms/status-callback
+ * @access  Public (signed by the provider)
+ */
+export const smsStatusCallback = async (req, res) => {
+  try {
+    const sender = getSmsSender();
+
+    if (!sender.verifyStatusCallback || !sender.verifyStatusCallback(req)) {
+      console.log('❌ SMS status callback signature mismatch');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid callback signature',
+      });
+    }
+
+    const receipt = sender.parseStatusCallback(req.body);
+    const message = await updateDeliveryStatus(sender.name, receipt);
+
+    // Acknowledge even unknown or stale receipts so the provider stops retrying
+    res.status(200).json({
+      success: true,
+      received: true,
+      updated: Boolean(message),
+    });
+  } catch (error) {
+    console.error('❌ Error processing SMS status callback:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List SMS messages we have sent, with delivery status
+ * @route   GET /api/sms/outbox
+ * @access  Private/Admin
+ */
+export const getSentSms = async (req, res) => {
+  try {
+    const { status, to, template, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status && SMS_STATUSES.includes(status)) query.status = status;
+    if (to) query.to = to;
+    if (template) query.template = template;
+
+    const [messages, total] = await Promise.all([
+      SmsMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      SmsMessage.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: messages,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sent messages',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import { createSession } from '../services/sessionService.js';
+import {
+  TWO_FACTOR_POLICY_KEY,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  completeEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  setTwoFactorPolicy,
+} from '../services/twoFactorService.js';
+import sendError from '../utils/sendError.js';
+
+/**
+ * @desc    Two-factor status for the signed-in admin
+ * @route   GET /api/admin/2fa
+ * @access  Admin
+ */
+export const getMyTwoFactor = async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactorStatus(req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      twoFactor,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch two-factor status');
+  }
+};
+
+/**
+ * @desc    Generate a TOTP secret and otpauth URI to scan
+ * @route   POST /api/admin/2fa/setup, POST /api/auth/admin/2fa/setup
+ * @access  Admin, or an admin mid-login who must enrol
+ */
+export const startTwoFactorSetup = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await beginEnrollment(req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from the app',
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * @desc    Confirm setup with a code and turn 2FA on
+ * @route   POST /api/admin/2fa/enable, POST /api/auth/admin/2fa/enable
+ * @access  Admin, or an admin mid-login who must enrol
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required',
+      });
+    }
+
+    const recoveryCodes = await completeEnrollment(req.admin._id, code);
+
+    // Enrolling during login finishes the login
+    let tokens = {};
+    if (!req.auth) {
+      const { token, refreshToken } = await createSession('admin', req.admin._id, req);
+      tokens = { token, refreshToken };
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+      recoveryCodes,
+      ...tokens,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to enable two-factor authentication');
+  }
+};
+
+/**
+ * @desc    Turn 2FA off (not allowed while the policy requires it)
+ * @route   POST /api/admin/2fa/disable
+ * @access  Admin
+ */
+export const disableMyTwoFactor = async (req, res) => {
+  try {
+    await disableTwoFactor(req.admin._id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to disable two-factor authentication');
+  }
+};
+
+/**
+ * @desc    Replace all recovery codes
+ * @route   POST /api/admin/2fa/recovery-codes
+ * @access  Admin
+ */
+export const regenerateMyRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.admin._id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to generate recovery codes');
+  }
+};
+
+/**
+ * @desc    Whether every admin must use 2FA
+ * @route   GET /api/admin/2fa-policy
+ * @access  Super admin (admins:manage)
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      key: TWO_FACTOR_POLICY_KEY,
+      required: await isTwoFactorRequired(),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch two-factor policy');
+  }
+};
+
+/**
+ * @desc    Require (or stop requiring) 2FA for every admin
+ * @route   PUT /api/admin/2fa-policy
+ * @access  Super admin (admins:manage)
+ */
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const result = await setTwoFactorPolicy(req.body.required, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: result.required
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional',
+      ...result,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update two-factor policy');
+  }
+};
+
+/**
+ * @desc    Clear an admin's 2FA after they lose their device and codes
+ * @route   DELETE /api/admin/admins/:id/2fa
+ * @access  Super admin (admins:manage)
+ */
+export const resetAdminTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    await resetTwoFactor(req.params.id, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset; the admin has been signed out',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reset two-factor authentication');
+  }
+};
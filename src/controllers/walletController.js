@@ -0,0 +1,163 @@
+import User from '../models/User.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { getWallet, creditWallet, debitWallet } from '../services/walletService.js';
+
+// Sources an admin can book a manual credit under
+const ADJUSTMENT_CREDIT_SOURCES = ['promotion', 'referral', 'adjustment'];
+
+const listTransactions = async (userId, { page = 1, limit = 20 }) => {
+  const query = { userId };
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(query)
+      .select('-walletId -idempotencyKey')
+      .sort({ createdAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit)),
+    WalletTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    totalPages: Math.ceil(total / parseInt(limit)),
+    currentPage: parseInt(page),
+    total,
+  };
+};
+
+/**
+ * @desc    Get the logged in user's wallet balance
+ * @route   GET /api/wallet
+ * @access  Private
+ */
+export const getMyWallet = async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      wallet: {
+        balance: wallet.balance,
+        currency: wallet.currency,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the logged in user's wallet transactions
+ * @route   GET /api/wallet/transactions
+ * @access  Private
+ */
+export const getMyTransactions = async (req, res) => {
+  try {
+    const result = await listTransactions(req.user._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet transactions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a customer's wallet and ledger
+ * @route   GET /api/wallet/users/:userId
+ * @access  Admin
+ */
+export const getUserWallet = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name phoneNumber');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const wallet = await getWallet(user._id);
+    const result = await listTransactions(user._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      user,
+      wallet,
+      ...result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Manually credit or debit a customer's wallet
+ * @route   POST /api/wallet/users/:userId/adjust
+ * @access  Admin
+ */
+export const adjustUserWallet = async (req, res) => {
+  try {
+    const { type, amount, source = 'adjustment', reason } = req.body;
+
+    if (!['credit', 'debit'].includes(type) || amount === undefined || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide type (credit or debit), amount and reason',
+      });
+    }
+
+    if (type === 'credit' && !ADJUSTMENT_CREDIT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Source must be one of: ${ADJUSTMENT_CREDIT_SOURCES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const post = type === 'credit' ? creditWallet : debitWallet;
+    const transaction = await post({
+      userId: user._id,
+      amount: Number(amount),
+      source: type === 'credit' ? source : 'adjustment',
+      reason,
+      actor: { type: 'admin', id: req.admin._id },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Wallet ${type === 'credit' ? 'credited' : 'debited'} successfully`,
+      transaction,
+      balance: transaction.balanceAfter,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to adjust wallet',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,29 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Admin from '../models/Admin.js';
+import Rider from '../models/Rider.js';
+import { findActiveSession } from '../services/sessionService.js';
+import { getRolePermissions } from '../services/roleService.js';
+import { verifyTwoFactorChallenge } from '../services/twoFactorService.js';
+import { auditAdminRequest } from '../services/auditService.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+
+// Tokens must name a live session so logout and revocation take effect at once
+const getActiveSession = (decoded) =>
+  (decoded.sid ? findActiveSession(decoded.sid, decoded.id) : null);
+
+const sessionExpired = (res) => res.status(401).json({
+  success: false,
+  message: 'Session has expired, please log in again',
+});
+
+// EventSource can't send headers, so streams may pass the token as ?access_token=
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
 
 export const protect = async (req, res, next) => {
   try {
@@ -19,7 +42,13 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
+      const session = await getActiveSession(decoded);
+
+      if (!session) {
+        return sessionExpired(res);
+      }
+
+      req.user = session.subjectType === 'user' ? await User.findById(decoded.id) : null;
       
       if (!req.user) {
         return res.status(401).json({
@@ -28,6 +57,7 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      req.auth = { type: 'user', id: req.user._id, sessionId: decoded.sid };
       next();
     } catch (error) {
       return res.status(401).json({
@@ -61,9 +91,14 @@ export const adminProtect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+      const session = await getActiveSession(decoded);
+
+      if (!session) {
+        return sessionExpired(res);
+      }
+
       // Check if it's an admin
-      const admin = await Admin.findById(decoded.id);
+      const admin = session.subjectType === 'admin' ? await Admin.findById(decoded.id) : null;
       
       if (!admin) {
         return res.status(403).json({
@@ -72,7 +107,18 @@ export const adminProtect = async (req, res, next) => {
         });
       }
 
+      if (!admin.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is deactivated',
+        });
+      }
+
       req.admin = admin;
+      req.auth = { type: 'admin', id: admin._id, sessionId: decoded.sid };
+
+      // Every mutating admin request lands in the audit log
+      await auditAdminRequest(req, res);
       next();
     } catch (error) {
       return res.status(401).json({
@@ -87,3 +133,104 @@ export const adminProtect = async (req, res, next) => {
     });
   }
 };
+
+// Admins who must enrol in 2FA before their first login reach the setup
+// endpoints with the challenge from the password step instead of a session
+export const twoFactorSetupProtect = async (req, res, next) => {
+  try {
+    if (!req.body.challengeToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is required',
+      });
+    }
+
+    req.admin = await verifyTwoFactorChallenge(req.body.challengeToken, 'setup');
+    next();
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error in admin authentication',
+    });
+  }
+};
+
+// Permission check for admin routes; use after adminProtect.
+// The admin's role must grant every permission listed.
+export const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      req.adminPermissions = req.adminPermissions || await getRolePermissions(req.admin.role);
+
+      const missing = permissions.filter((p) => !hasPermission(req.adminPermissions, p));
+      if (missing.length) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied - requires ${missing.join(', ')} permission`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error in permission check',
+      });
+    }
+  };
+};
+
+// Rider protection middleware
+export const riderProtect = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized - Rider access required',
+      });
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = await getActiveSession(decoded);
+
+      if (!session) {
+        return sessionExpired(res);
+      }
+
+      const rider = session.subjectType === 'rider' ? await Rider.findById(decoded.id) : null;
+
+      if (!rider || !rider.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - Rider privileges required',
+        });
+      }
+
+      req.rider = rider;
+      req.auth = { type: 'rider', id: rider._id, sessionId: decoded.sid };
+      next();
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized - Invalid token',
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in rider authentication',
+    });
+  }
+};
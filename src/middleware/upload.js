@@ -0,0 +1,35 @@
+import multer from 'multer';
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+export const PHOTO_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!PHOTO_TYPES[file.mimetype]) {
+      return cb(new Error('Photo must be a JPEG, PNG or WebP image'));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept one optional photo in the given multipart field as req.file.
+ * JSON requests pass straight through.
+ */
+export const uploadPhoto = (field) => (req, res, next) => {
+  photoUpload.single(field)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Photo must be 5 MB or smaller' : error.message,
+      });
+    }
+    next();
+  });
+};
@@ -12,19 +12,64 @@ const adminSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Earlier bcrypt hashes, newest first, so old passwords can't be reused
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  passwordChangedAt: Date,
+  // Set when a super-admin resets the password; login is refused until
+  // the admin picks a new one through the emailed reset link
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: Date,
   name: {
     type: String,
     required: true,
   },
+  // A built-in role from utils/permissions.js or a custom Role
   role: {
     type: String,
-    enum: ['admin', 'super-admin'],
     default: 'admin',
+    trim: true,
   },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // TOTP two-factor authentication; secrets are encrypted at rest
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Generated at setup and promoted to secret once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    enabledAt: Date,
+  },
 }, {
   timestamps: true,
 });
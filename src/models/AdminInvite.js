@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A one-time link for someone to create their own admin account
+const adminInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the invite token; the token is only shown once, to the inviter
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  acceptedAdminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  revokedAt: Date,
+}, {
+  timestamps: true,
+});
+
+adminInviteSchema.index({ email: 1, createdAt: -1 });
+
+const AdminInvite = mongoose.model('AdminInvite', adminInviteSchema);
+
+export default AdminInvite;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A one-time password reset link sent to an admin's email
+const adminPasswordResetSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+  },
+  // SHA-256 of the reset token; the token itself is only in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The super-admin who forced the reset; empty for "forgot password"
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  requestIp: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: Date,
+}, {
+  timestamps: true,
+});
+
+adminPasswordResetSchema.index({ adminId: 1, usedAt: 1 });
+adminPasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AdminPasswordReset = mongoose.model('AdminPasswordReset', adminPasswordResetSchema);
+
+export default AdminPasswordReset;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// One entry per mutating admin request. Entries are never changed or
+// removed once written.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true,
+    },
+    // Copied at the time, so renames and role changes don't rewrite history
+    email: String,
+    name: String,
+    role: String,
+  },
+  // Method and route pattern, e.g. "PATCH /api/orders/:id/status"
+  action: {
+    type: String,
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  url: String,
+  target: {
+    type: {
+      type: String,
+    },
+    // ObjectId, role name or setting key, depending on the type
+    id: String,
+  },
+  // Top-level fields that differ between the target before and after
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  // Request body with passwords, codes and tokens masked
+  requestBody: mongoose.Schema.Types.Mixed,
+  // Empty when the client disconnected before the response finished
+  statusCode: Number,
+  aborted: {
+    type: Boolean,
+    default: false,
+  },
+  ip: String,
+  userAgent: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+const refuseChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany',
+].forEach((operation) => auditLogSchema.pre(operation, refuseChange));
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const blackoutDateSchema = new mongoose.Schema({
+  // Calendar day with no pickups, stored as UTC midnight
+  date: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const BlackoutDate = mongoose.model('BlackoutDate', blackoutDateSchema);
+
+export default BlackoutDate;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  description: {
+    type: String,
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true,
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Cap for percentage coupons (optional)
+  maxDiscount: {
+    type: Number,
+    min: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  validFrom: {
+    type: Date,
+  },
+  validUntil: {
+    type: Date,
+  },
+  // Total redemptions across all users; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 0,
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
+  },
+  // Empty means the coupon applies to every service
+  applicableServices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+  },
+  discount: {
+    type: Number,
+    required: true,
+  },
+  // Which of the user's uses this is (1..perUserLimit)
+  seq: Number,
+  // Set for first-order-only coupons; a user holds at most one such claim
+  firstOrder: Boolean,
+}, {
+  timestamps: true,
+});
+
+// Per-user usage lookups
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+// One redemption per use slot, so parallel orders can't share the last use
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
+// One first-order claim per user, so parallel first orders can't both get one
+couponRedemptionSchema.index(
+  { userId: 1, firstOrder: 1 },
+  { unique: true, partialFilterExpression: { firstOrder: true } }
+);
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
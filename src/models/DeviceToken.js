@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+export const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+
+// One row per app install; a user signed in on several phones has several
+const deviceTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  platform: {
+    type: String,
+    enum: DEVICE_PLATFORMS,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
+
+export default DeviceToken;
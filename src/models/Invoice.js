@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  businessName: String,
+  gstin: String,
+  phone: String,
+  email: String,
+  address: String,
+  state: String,
+  stateCode: String,
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+  },
+  sacCode: String,
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  taxableValue: {
+    type: Number,
+    required: true,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+// Issued once per delivered order and never edited afterwards
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: {
+    state: String,
+    stateCode: String,
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state'],
+    required: true,
+  },
+  lines: [invoiceLineSchema],
+  taxableValue: {
+    type: Number,
+    required: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+  },
+  // Paise difference between the summed lines and the order total
+  roundOff: {
+    type: Number,
+    default: 0,
+  },
+  grandTotal: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  paymentMethod: String,
+}, {
+  timestamps: true,
+});
+
+invoiceSchema.index({ issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, sequence: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
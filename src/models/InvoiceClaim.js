@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Reserves an order's invoice number before the invoice is written. The
+// unique indexes make the insert itself the allocation, so racing requests
+// can't share a number or take one and leave a gap in the series
+const invoiceClaimSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+  },
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+invoiceClaimSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+const InvoiceClaim = mongoose.model('InvoiceClaim', invoiceClaimSchema);
+
+export default InvoiceClaim;
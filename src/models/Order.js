@@ -1,4 +1,131 @@
 import mongoose from 'mongoose';
+import addressSchema from './addressSchema.js';
+import { ORDER_STATUSES, ORDER_EVENTS, ACTOR_TYPES } from '../utils/orderStatus.js';
+
+// Priced snapshot of one garment line, frozen at order creation
+const lineItemSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+  },
+  serviceName: {
+    type: String,
+    required: true,
+  },
+  garmentType: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  addOns: [{
+    _id: false,
+    name: String,
+    price: Number,
+  }],
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Share of the coupon discount applied to this line
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  sacCode: {
+    type: String,
+  },
+}, { _id: false });
+
+// One entry per status change or event (rider assigned, ...), oldest first
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  // Set for entries that record an event instead of a status change
+  event: {
+    type: String,
+    enum: ORDER_EVENTS,
+  },
+  from: {
+    type: String,
+    enum: ORDER_STATUSES,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ACTOR_TYPES,
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  note: {
+    type: String,
+  },
+}, { _id: false });
+
+// A rider's pickup or delivery visit for the order
+const riderTaskSchema = new mongoose.Schema({
+  riderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+  },
+  assignedAt: Date,
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  arrivedAt: Date,
+  completedAt: Date,
+  // Pieces the rider counted at pickup
+  itemCount: Number,
+}, { _id: false });
+
+// A refund owed on cancellation, planned when the order is cancelled and
+// linked to its Refund once raised, so a failed step can be retried
+const cancellationRefundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  amount: Number,
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+}, { _id: false });
+
+// Copy of the saved address at booking time, so later edits don't move the order
+const deliveryAddressSchema = addressSchema.clone();
+deliveryAddressSchema.add({
+  addressId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+});
+deliveryAddressSchema.set('_id', false);
 
 const orderSchema = new mongoose.Schema({
   userId: {
@@ -22,21 +149,143 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  pickupSlot: {
+    slotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PickupSlot',
+    },
+    startTime: String,
+    endTime: String,
+    // True while the order is queued for a seat in a full slot
+    waitlisted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  pickupTask: riderTaskSchema,
+  deliveryTask: riderTaskSchema,
+  // Code the customer gives the rider at the door; hidden from normal reads
+  handover: {
+    code: {
+      type: String,
+      select: false,
+    },
+    generatedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    verifiedAt: Date,
+  },
+  proofOfDelivery: {
+    // otp: customer's handover code; override: admin marked it without one
+    method: {
+      type: String,
+      enum: ['otp', 'override'],
+    },
+    recipientName: String,
+    photo: {
+      storage: String,
+      key: String,
+      contentType: String,
+    },
+    overrideReason: String,
+    capturedBy: {
+      type: {
+        type: String,
+        enum: ACTOR_TYPES,
+      },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    deliveredAt: Date,
+  },
   status: {
     type: String,
-    enum: ['pending', 'picked', 'in-process', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending',
   },
+  statusHistory: [statusHistorySchema],
+  items: [lineItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: String,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  // Kept in sync with total for older clients and revenue stats
   amount: {
     type: Number,
     default: 0,
   },
+  // Part of the total paid from the customer's wallet at booking
+  walletAmount: {
+    type: Number,
+    default: 0,
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cod', 'upi', 'card', 'wallet'],
+    default: 'cod',
+  },
+  // Summary of the order's Payment records
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'authorized', 'paid', 'failed', 'partially-refunded', 'refunded'],
+    default: 'pending',
+  },
   address: {
     type: String,
   },
+  deliveryAddress: deliveryAddressSchema,
+  serviceArea: {
+    areaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceArea',
+    },
+    name: String,
+    pincode: String,
+  },
   notes: {
     type: String,
   },
+  cancellation: {
+    reason: String,
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    cancelledAt: Date,
+    actorType: {
+      type: String,
+      enum: ACTOR_TYPES,
+    },
+    actorId: mongoose.Schema.Types.ObjectId,
+    refunds: {
+      type: [cancellationRefundSchema],
+      default: undefined,
+    },
+  },
   customerName: {
     type: String,
   },
@@ -47,6 +296,19 @@ const orderSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Never send the handover code out with the order; only the customer's
+// tracking view reads it, and only riders' submissions are checked against it
+orderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.handover) delete ret.handover.code;
+    return ret;
+  },
+});
+
+// Rider task lists
+orderSchema.index({ 'pickupTask.riderId': 1, pickupDate: 1 });
+orderSchema.index({ 'deliveryTask.riderId': 1, status: 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
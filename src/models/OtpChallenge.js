@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+export const OTP_SUBJECTS = ['user', 'rider'];
+
+// The current login code for a phone number, plus its abuse counters
+const otpChallengeSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    enum: OTP_SUBJECTS,
+    required: true,
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+  },
+  // HMAC of the code; the code itself is never stored
+  codeHash: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  // Wrong guesses against the current code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastSentAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  // Consecutive lockouts; each one lasts twice as long as the last
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  lastLockoutAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+otpChallengeSchema.index({ subject: 1, phoneNumber: 1 }, { unique: true });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+export default OtpChallenge;
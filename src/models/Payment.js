@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_METHODS = ['cod', 'upi', 'card', 'wallet'];
+export const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'refunded'];
+
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  // Adapter that handles this payment ('cod' for cash collected by riders)
+  gateway: {
+    type: String,
+    required: true,
+  },
+  gatewayOrderId: {
+    type: String,
+  },
+  gatewayPaymentId: {
+    type: String,
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  failureReason: {
+    type: String,
+  },
+  authorizedAt: Date,
+  capturedAt: Date,
+  // Webhook events already applied, so retries are ignored
+  events: [{
+    _id: false,
+    eventId: String,
+    type: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+paymentSchema.index({ gateway: 1, gatewayOrderId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const pickupSlotSchema = new mongoose.Schema({
+  // Calendar day of the slot, stored as UTC midnight
+  date: {
+    type: Date,
+    required: true,
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  waitlistCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// One window per start time per day
+pickupSlotSchema.index({ date: 1, startTime: 1 }, { unique: true });
+
+const PickupSlot = mongoose.model('PickupSlot', pickupSlotSchema);
+
+export default PickupSlot;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const REFUND_STATUSES = ['pending', 'processed', 'rejected', 'failed'];
+export const REFUND_DESTINATIONS = ['original', 'wallet'];
+export const REFUND_CATEGORIES = [
+  'cancellation',
+  'damaged',
+  'missing-item',
+  'service-issue',
+  'goodwill',
+  'other',
+];
+
+const refundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  // Full when it returns everything left on the payment
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true,
+  },
+  category: {
+    type: String,
+    enum: REFUND_CATEGORIES,
+    default: 'other',
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  // Back to the original payment method, or as wallet credit
+  destination: {
+    type: String,
+    enum: REFUND_DESTINATIONS,
+    default: 'original',
+  },
+  // pending -> processed | rejected | failed (approval processes immediately)
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending',
+  },
+  requestedBy: {
+    type: {
+      type: String,
+      enum: ['admin', 'user', 'system'],
+      required: true,
+    },
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  gatewayRefundId: String,
+  processedAt: Date,
+  failureReason: String,
+}, {
+  timestamps: true,
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const riderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Please provide a valid 10 digit phone number'],
+  },
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Inactive riders cannot log in and drop off the dispatch lists
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  // Latest GPS ping, kept here so live maps don't scan the ping history
+  lastLocation: {
+    lat: Number,
+    lng: Number,
+    recordedAt: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const Rider = mongoose.model('Rider', riderSchema);
+
+export default Rider;
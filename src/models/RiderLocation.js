@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// How long raw GPS pings are kept before MongoDB expires them
+const PING_RETENTION_SECONDS = 24 * 60 * 60;
+
+const riderLocationSchema = new mongoose.Schema({
+  riderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    required: true,
+  },
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+  // Metres, as reported by the phone
+  accuracy: Number,
+  speedKmh: Number,
+  heading: Number,
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+riderLocationSchema.index({ recordedAt: 1 }, { expireAfterSeconds: PING_RETENTION_SECONDS });
+riderLocationSchema.index({ riderId: 1, recordedAt: -1 });
+
+const RiderLocation = mongoose.model('RiderLocation', riderLocationSchema);
+
+export default RiderLocation;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+// Custom admin roles, and overrides of the built-in ones in utils/permissions.js
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name must be 2-40 lowercase letters, digits or dashes'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS,
+    }],
+    default: [],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
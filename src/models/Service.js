@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 
+// Per-garment price override, e.g. a saree costs more to dry clean than a shirt
+const garmentPriceSchema = new mongoose.Schema({
+  garmentType: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// Optional extras charged per piece (starch, stain removal, ...)
+const addOnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
 const serviceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -29,6 +57,19 @@ const serviceSchema = new mongoose.Schema({
     type: Number,
     default: 2,
   },
+  garmentPrices: [garmentPriceSchema],
+  addOns: [addOnSchema],
+  taxRate: {
+    type: Number,
+    default: 18,
+    min: 0,
+  },
+  // SAC code printed on GST invoices (9997: washing and cleaning services)
+  sacCode: {
+    type: String,
+    default: '9997',
+    trim: true,
+  },
 }, {
   timestamps: true,
 });
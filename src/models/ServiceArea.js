@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const pointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+}, { _id: false });
+
+const serviceAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // How coverage is decided: a pincode list, a circle or a polygon
+  type: {
+    type: String,
+    enum: ['pincode', 'radius', 'polygon'],
+    required: true,
+  },
+  pincodes: [{
+    type: String,
+    trim: true,
+  }],
+  center: pointSchema,
+  radiusKm: {
+    type: Number,
+    min: 0,
+  },
+  polygon: [pointSchema],
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Delivery is free when the subtotal reaches this value (optional)
+  freeDeliveryAbove: {
+    type: Number,
+    min: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Empty means every active service is offered in this area
+  enabledServices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+  }],
+  // Lower number wins when zones overlap
+  priority: {
+    type: Number,
+    default: 100,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+serviceAreaSchema.index({ pincodes: 1 });
+
+const ServiceArea = mongoose.model('ServiceArea', serviceAreaSchema);
+
+export default ServiceArea;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const SESSION_SUBJECTS = ['user', 'admin', 'rider'];
+
+// One signed-in device. Access tokens name their session (sid) so revoking
+// it here locks the device out on its next request.
+const sessionSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: SESSION_SUBJECTS,
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // SHA-256 of the current refresh token secret
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // The secret it replaced; seeing it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ subjectType: 1, subjectId: 1, revokedAt: 1 });
+// Expired sessions are useless, so let MongoDB clear them out
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Admin-editable application settings, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
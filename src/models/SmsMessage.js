@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const SMS_STATUSES = ['queued', 'sent', 'delivered', 'undelivered', 'failed'];
+
+// Messages we send (OTPs etc.). Messages synced from customers' phones live in Sms.
+const smsMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  // Rendered text with secrets such as OTPs masked
+  body: {
+    type: String,
+    required: true,
+  },
+  recipient: {
+    type: {
+      type: String,
+      enum: ['user', 'rider', 'admin'],
+    },
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: SMS_STATUSES,
+    default: 'queued',
+  },
+  errorCode: String,
+  errorMessage: String,
+  statusUpdatedAt: Date,
+}, {
+  timestamps: true,
+});
+
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 }, { unique: true, sparse: true });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+export default SmsMessage;
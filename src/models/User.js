@@ -1,4 +1,13 @@
 import mongoose from 'mongoose';
+import addressSchema from './addressSchema.js';
+
+const savedAddressSchema = addressSchema.clone();
+savedAddressSchema.add({
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const userSchema = new mongoose.Schema({
   phoneNumber: {
@@ -16,14 +25,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Legacy free-text address; new clients use the addresses book
   address: {
     type: String,
   },
-  otp: {
+  addresses: [savedAddressSchema],
+  // Printed on tax invoices so business customers can claim input credit
+  businessName: {
     type: String,
+    trim: true,
   },
-  otpExpiry: {
-    type: Date,
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
   },
   isVerified: {
     type: Boolean,
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Running balance per user. Only the wallet service changes it, always
+// together with a WalletTransaction entry.
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+}, {
+  timestamps: true,
+});
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+export default Wallet;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+export const WALLET_TRANSACTION_TYPES = ['credit', 'debit'];
+export const WALLET_TRANSACTION_SOURCES = [
+  'refund',
+  'promotion',
+  'referral',
+  'order-payment',
+  'order-reversal',
+  'adjustment',
+];
+
+const walletTransactionSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: WALLET_TRANSACTION_TYPES,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: WALLET_TRANSACTION_SOURCES,
+    required: true,
+  },
+  reason: {
+    type: String,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'user', 'system'],
+      required: true,
+    },
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  // Stops the same credit or debit (e.g. one refund) being posted twice
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// The ledger is append-only: corrections are posted as new entries
+const rejectChange = function () {
+  throw new Error('Wallet transactions cannot be modified or deleted');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => walletTransactionSchema.pre(operation, rejectChange));
+walletTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Wallet transactions cannot be modified or deleted'));
+  }
+  next();
+});
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+export default WalletTransaction;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Structured postal address shared by the user address book and order snapshots
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home',
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  line2: {
+    type: String,
+    trim: true,
+  },
+  landmark: {
+    type: String,
+    trim: true,
+  },
+  pincode: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[1-9][0-9]{5}$/,
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  state: {
+    type: String,
+    trim: true,
+  },
+  location: {
+    lat: {
+      type: Number,
+      min: -90,
+      max: 90,
+    },
+    lng: {
+      type: Number,
+      min: -180,
+      max: 180,
+    },
+  },
+});
+
+export default addressSchema;
@@ -1,15 +1,59 @@
 import express from 'express';
-import { adminProtect } from '../middleware/auth.js';
+import { adminProtect, requirePermission } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
 import Service from '../models/Service.js';
 import Admin from '../models/Admin.js';
 import Contact from '../models/Contact.js';
-import bcrypt from 'bcryptjs';
+import { getCollectedTotals } from '../services/paymentService.js';
+import { setSetting } from '../services/settingsService.js';
+import { openDeliveryPhoto } from '../services/deliveryService.js';
+import {
+  CANCELLATION_POLICY_KEY,
+  getCancellationPolicy,
+  validateCancellationPolicy,
+} from '../services/refundService.js';
 import { 
   getAllContacts, 
   getContactStats 
 } from '../controllers/contactController.js';
+import {
+  getDispatch,
+  assignToRider,
+  unassignFromRider,
+  reassignTasks,
+} from '../controllers/dispatchController.js';
+import { revokeUserSessions } from '../controllers/sessionController.js';
+import {
+  getPermissions,
+  getRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+  changeAdminRole,
+} from '../controllers/roleController.js';
+import { getRolePermissions } from '../services/roleService.js';
+import {
+  getAdmins,
+  inviteAdmin,
+  getAdminInvites,
+  revokeAdminInvite,
+  deactivateAdmin,
+  reactivateAdmin,
+  forceAdminPasswordReset,
+} from '../controllers/adminController.js';
+import { changeAdminPassword } from '../services/adminPasswordService.js';
+import {
+  getMyTwoFactor,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableMyTwoFactor,
+  regenerateMyRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetAdminTwoFactor,
+} from '../controllers/twoFactorController.js';
+import { getAuditLogs, exportAuditLogs } from '../controllers/auditLogController.js';
 
 const router = express.Router();
 
@@ -25,7 +69,7 @@ const router = express.Router();
  *       200:
  *         description: Statistics retrieved successfully
  */
-router.get('/stats', adminProtect, async (req, res) => {
+router.get('/stats', adminProtect, requirePermission('dashboard:read'), async (req, res) => {
   try {
     console.log('🔹 Fetching admin dashboard stats...');
 
@@ -41,12 +85,18 @@ router.get('/stats', adminProtect, async (req, res) => {
     const inProcessOrders = orders.filter(o => o.status === 'in-process').length;
     const deliveredOrders = orders.filter(o => o.status === 'delivered').length;
     const cancelledOrders = orders.filter(o => o.status === 'cancelled').length;
+    const readyOrders = orders.filter(o => o.status === 'ready').length;
+    const outForDeliveryOrders = orders.filter(o => o.status === 'out-for-delivery').length;
+    const failedOrders = orders.filter(o => o.status === 'failed').length;
 
     // Calculate revenue (assuming amount field exists in orders)
     const totalRevenue = orders
       .filter(o => o.status === 'delivered')
       .reduce((sum, order) => sum + (order.amount || 0), 0);
 
+    // What was actually collected, net of refunds
+    const collected = await getCollectedTotals();
+
     // Get recent data
     const recentUsers = await User.find()
       .select('-otp -otpExpiry')
@@ -66,13 +116,17 @@ router.get('/stats', adminProtect, async (req, res) => {
         totalOrders,
         pendingOrders,
         totalRevenue,
+        collectedRevenue: collected.net,
       },
       orderStats: {
         pending: pendingOrders,
         picked: pickedOrders,
         inProcess: inProcessOrders,
+        ready: readyOrders,
+        outForDelivery: outForDeliveryOrders,
         delivered: deliveredOrders,
         cancelled: cancelledOrders,
+        failed: failedOrders,
       },
       recent: {
         users: recentUsers,
@@ -107,7 +161,7 @@ router.get('/stats', adminProtect, async (req, res) => {
  *       200:
  *         description: SMS logs retrieved successfully
  */
-router.get('/sms-logs', adminProtect, async (req, res) => {
+router.get('/sms-logs', adminProtect, requirePermission('marketing:read'), async (req, res) => {
   try {
     console.log('🔹 Fetching all SMS logs...');
 
@@ -166,7 +220,7 @@ router.get('/sms-logs', adminProtect, async (req, res) => {
  *       200:
  *         description: Contacts retrieved successfully
  */
-router.get('/contacts', adminProtect, async (req, res) => {
+router.get('/contacts', adminProtect, requirePermission('marketing:read'), async (req, res) => {
   try {
     console.log('🔹 Fetching all contacts from Contact model...');
     const { page = 1, limit = 50, search = '', userId } = req.query;
@@ -226,7 +280,7 @@ router.get('/contacts', adminProtect, async (req, res) => {
  *       200:
  *         description: Marketing stats retrieved successfully
  */
-router.get('/marketing-stats', adminProtect, async (req, res) => {
+router.get('/marketing-stats', adminProtect, requirePermission('marketing:read'), async (req, res) => {
   try {
     console.log('🔹 Fetching marketing stats...');
 
@@ -305,7 +359,7 @@ router.get('/marketing-stats', adminProtect, async (req, res) => {
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Admin profile retrieved successfully
+ *         description: Admin profile retrieved successfully, with the permissions of the admin's role
  */
 router.get('/profile', adminProtect, async (req, res) => {
   try {
@@ -314,6 +368,8 @@ router.get('/profile', adminProtect, async (req, res) => {
     res.status(200).json({
       success: true,
       admin,
+      // Lets the dashboard hide actions this admin can't take
+      permissions: await getRolePermissions(admin.role),
     });
   } catch (error) {
     res.status(500).json({
@@ -395,7 +451,11 @@ router.put('/profile', adminProtect, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully; other sessions are signed out
+ *       400:
+ *         description: New password doesn't meet the policy or was used recently
+ *       401:
+ *         description: Current password is incorrect
  */
 router.put('/change-password', adminProtect, async (req, res) => {
   try {
@@ -408,34 +468,176 @@ router.put('/change-password', adminProtect, async (req, res) => {
       });
     }
 
-    const admin = await Admin.findById(req.admin._id);
-
-    // Check current password
-    const isMatch = await bcrypt.compare(currentPassword, admin.password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Current password is incorrect',
-      });
-    }
-
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    admin.password = await bcrypt.hash(newPassword, salt);
-    await admin.save();
+    // Checks the policy and history, and signs out other devices
+    await changeAdminPassword(req.admin._id, {
+      currentPassword,
+      newPassword,
+      sessionId: req.auth.sessionId,
+    });
 
     res.status(200).json({
       success: true,
       message: 'Password changed successfully',
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/2fa:
+ *   get:
+ *     summary: Two-factor status for the signed-in admin
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is on, recovery codes left and whether the policy requires it
+ */
+router.get('/2fa', adminProtect, getMyTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Returns a new TOTP secret and otpauth URI; confirm it with /api/admin/2fa/enable.
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/2fa/setup', adminProtect, startTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/admin/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor setup with a code
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; returns one-time recovery codes
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/2fa/enable', adminProtect, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Required by policy
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/disable', adminProtect, disableMyTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/recovery-codes', adminProtect, regenerateMyRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/admin/2fa-policy:
+ *   get:
+ *     summary: Whether two-factor authentication is required for all admins (Super admin)
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *   put:
+ *     summary: Require two-factor authentication for all admins (Super admin)
+ *     description: |
+ *       Turning the policy on signs out every admin without 2FA; they must
+ *       enrol at their next login. You must have 2FA enabled yourself.
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ */
+router.get('/2fa-policy', adminProtect, requirePermission('admins:manage'), getTwoFactorPolicy);
+router.put('/2fa-policy', adminProtect, requirePermission('admins:manage'), updateTwoFactorPolicy);
+
 /**
  * @swagger
  * /api/admin/users:
@@ -448,7 +650,7 @@ router.put('/change-password', adminProtect, async (req, res) => {
  *       200:
  *         description: Users retrieved successfully
  */
-router.get('/users', adminProtect, async (req, res) => {
+router.get('/users', adminProtect, requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.find()
       .select('-otp -otpExpiry')
@@ -485,7 +687,7 @@ router.get('/users', adminProtect, async (req, res) => {
  *       200:
  *         description: User retrieved successfully
  */
-router.get('/users/:id', adminProtect, async (req, res) => {
+router.get('/users/:id', adminProtect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-otp -otpExpiry');
 
@@ -545,7 +747,7 @@ router.get('/users/:id', adminProtect, async (req, res) => {
  *       200:
  *         description: User updated successfully
  */
-router.put('/users/:id', adminProtect, async (req, res) => {
+router.put('/users/:id', adminProtect, requirePermission('users:write'), async (req, res) => {
   try {
     const { name, email, address } = req.body;
 
@@ -593,7 +795,7 @@ router.put('/users/:id', adminProtect, async (req, res) => {
  *       200:
  *         description: User deleted successfully
  */
-router.delete('/users/:id', adminProtect, async (req, res) => {
+router.delete('/users/:id', adminProtect, requirePermission('users:delete'), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
@@ -619,8 +821,776 @@ router.delete('/users/:id', adminProtect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions:
+ *   delete:
+ *     summary: Sign a user out of every device (Admin only)
+ *     description: Use when a customer reports a lost or stolen phone.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router.delete('/users/:id/sessions', adminProtect, requirePermission('users:write'), revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/admin/cancellation-policy:
+ *   get:
+ *     summary: Get the order cancellation policy (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ */
+router.get('/cancellation-policy', adminProtect, async (req, res) => {
+  try {
+    const policy = await getCancellationPolicy();
+
+    res.status(200).json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cancellation-policy:
+ *   put:
+ *     summary: Update the order cancellation policy (Admin only)
+ *     description: |
+ *       Rules keyed by the order status the customer cancels from. Statuses
+ *       without a rule (or with allowed false) cannot be cancelled by customers.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               pending:
+ *                 allowed: true
+ *                 feeType: flat
+ *                 feeValue: 0
+ *               picked:
+ *                 allowed: true
+ *                 feeType: percentage
+ *                 feeValue: 10
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ */
+router.put('/cancellation-policy', adminProtect, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const policy = req.body;
+
+    const validationError = validateCancellationPolicy(policy);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const saved = await setSetting(CANCELLATION_POLICY_KEY, policy, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      policy: saved,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/orders/{id}/proof-of-delivery:
+ *   get:
+ *     summary: Get an order's proof of delivery for disputes (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proof of delivery retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:id/proof-of-delivery', adminProtect, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('status handover proofOfDelivery deliveryTask')
+      .populate('deliveryTask.riderId', 'name phoneNumber');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: order.status,
+      rider: order.deliveryTask?.riderId,
+      handoverAttempts: order.handover?.attempts || 0,
+      proofOfDelivery: order.proofOfDelivery,
+      photoUrl: order.proofOfDelivery?.photo?.key
+        ? `/api/admin/orders/${order._id}/proof-of-delivery/photo`
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/orders/{id}/proof-of-delivery/photo:
+ *   get:
+ *     summary: Get an order's delivery photo (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Photo
+ *       404:
+ *         description: No delivery photo for this order
+ */
+router.get('/orders/:id/proof-of-delivery/photo', adminProtect, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { contentType, stream } = await openDeliveryPhoto(order);
+
+    res.setHeader('Content-Type', contentType);
+    stream.pipe(res);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/dispatch:
+ *   get:
+ *     summary: Dispatch board for a day (Admin only)
+ *     description: Slot fill, each active rider's load per slot, and pickups and deliveries nobody is assigned to.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Dispatch board retrieved successfully
+ */
+router.get('/dispatch', adminProtect, requirePermission('orders:read'), getDispatch);
+
+/**
+ * @swagger
+ * /api/admin/dispatch/assign:
+ *   post:
+ *     summary: Assign pickups or deliveries to a rider (Admin only)
+ *     description: Send orderId for one order or orderIds to assign in bulk. Replaces any rider already assigned.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - riderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *               riderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-order assignment results
+ */
+router.post('/dispatch/assign', adminProtect, requirePermission('dispatch:manage'), assignToRider);
+
+/**
+ * @swagger
+ * /api/admin/dispatch/unassign:
+ *   post:
+ *     summary: Remove the rider from an order's pickup or delivery (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - type
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *     responses:
+ *       200:
+ *         description: Rider unassigned
+ */
+router.post('/dispatch/unassign', adminProtect, requirePermission('dispatch:manage'), unassignFromRider);
+
+/**
+ * @swagger
+ * /api/admin/dispatch/reassign:
+ *   post:
+ *     summary: Move an absent rider's open tasks to another rider (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromRiderId
+ *               - toRiderId
+ *             properties:
+ *               fromRiderId:
+ *                 type: string
+ *               toRiderId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Day of the pickups to move (defaults to today)
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *                 description: Only move this kind of task
+ *     responses:
+ *       200:
+ *         description: Tasks moved; any orders that could not be moved are listed in failed and stay with the original rider
+ */
+router.post('/dispatch/reassign', adminProtect, requirePermission('dispatch:manage'), reassignTasks);
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: List all admin permissions (Super admin)
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', adminProtect, requirePermission('roles:manage'), getPermissions);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List admin roles and their permissions (Super admin)
+ *     description: Includes the built-in super-admin, admin and counter-staff roles and any custom roles.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/roles', adminProtect, requirePermission('roles:manage'), getRoles);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: Create a custom role (Super admin)
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "accounts"
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["payments:read", "invoices:read"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid name or unknown permission
+ *       409:
+ *         description: Role already exists
+ */
+router.post('/roles', adminProtect, requirePermission('roles:manage'), createAdminRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   put:
+ *     summary: Update a role's description or permissions (Super admin)
+ *     description: Editing a built-in role stores an override. The super-admin role cannot be changed.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Role not found
+ */
+router.put('/roles/:name', adminProtect, requirePermission('roles:manage'), updateAdminRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   delete:
+ *     summary: Delete a custom role or reset a built-in one (Super admin)
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted or reset
+ *       409:
+ *         description: Admins still have this role
+ */
+router.delete('/roles/:name', adminProtect, requirePermission('roles:manage'), deleteAdminRole);
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/role:
+ *   patch:
+ *     summary: Change an admin's role (Super admin)
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: "counter-staff"
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Unknown role, own role, or last super-admin
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.patch('/admins/:id/role', adminProtect, requirePermission('roles:manage'), changeAdminRole);
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     summary: List admin accounts (Super admin)
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admins retrieved successfully
+ */
+router.get('/admins', adminProtect, requirePermission('admins:manage'), getAdmins);
+
+/**
+ * @swagger
+ * /api/admin/admins/invites:
+ *   post:
+ *     summary: Invite a new admin (Super admin)
+ *     description: Returns a one-time token (and link when ADMIN_APP_URL is set) that expires after ADMIN_INVITE_TTL_HOURS.
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 default: admin
+ *     responses:
+ *       201:
+ *         description: Invite created
+ *       409:
+ *         description: An admin with this email already exists
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.post('/admins/invites', adminProtect, requirePermission('admins:manage'), inviteAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/invites:
+ *   get:
+ *     summary: List admin invites (Super admin)
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending]
+ *     responses:
+ *       200:
+ *         description: Invites retrieved successfully
+ */
+router.get('/admins/invites', adminProtect, requirePermission('admins:manage'), getAdminInvites);
+
+/**
+ * @swagger
+ * /api/admin/admins/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending admin invite (Super admin)
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       404:
+ *         description: No pending invite found
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.delete('/admins/invites/:id', adminProtect, requirePermission('admins:manage'), revokeAdminInvite);
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate an admin and sign them out (Super admin)
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin deactivated
+ *       400:
+ *         description: Own account or last super-admin
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.patch('/admins/:id/deactivate', adminProtect, requirePermission('admins:manage'), deactivateAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/reactivate:
+ *   patch:
+ *     summary: Reactivate an admin (Super admin)
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin reactivated
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.patch('/admins/:id/reactivate', adminProtect, requirePermission('admins:manage'), reactivateAdmin);
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/reset-password:
+ *   post:
+ *     summary: Force an admin to choose a new password (Super admin)
+ *     description: |
+ *       The admin's current password stops working, they are signed out and
+ *       any login lockout is cleared. They are emailed a reset link valid
+ *       for 24 hours.
+ *     tags: [Admin Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset; emailSent says whether the link went out
+ *       400:
+ *         description: Own account or deactivated admin
+ *       404:
+ *         description: Admin not found
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.post('/admins/:id/reset-password', adminProtect, requirePermission('admins:manage'), forceAdminPasswordReset);
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/2fa:
+ *   delete:
+ *     summary: Reset an admin's two-factor authentication (Super admin)
+ *     description: For admins who lost their authenticator and recovery codes. Signs them out.
+ *     tags: [Admin Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor reset
+ *       404:
+ *         description: Admin not found
+ *       403:
+ *         description: Only a super-admin can manage super-admin accounts
+ */
+router.delete('/admins/:id/2fa', adminProtect, requirePermission('admins:manage'), resetAdminTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: List audit log entries for admin changes (newest first)
+ *     description: |
+ *       Every POST, PUT, PATCH and DELETE made by an admin is recorded with
+ *       the actor, route, target, a before/after diff of the target, IP and
+ *       user agent - refused, failed and client-aborted requests included.
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Method and route pattern, e.g. "PATCH /api/orders/:id/status"
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [POST, PUT, PATCH, DELETE]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           example: order
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failed, aborted]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Paginated audit log entries
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/audit-logs', adminProtect, requirePermission('audit:read'), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Download audit log entries as CSV
+ *     description: Takes the same filters as /api/admin/audit-logs. At most 50,000 rows; narrow the date range for more.
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/audit-logs/export', adminProtect, requirePermission('audit:read'), exportAuditLogs);
+
 // Contact management routes
-router.get('/contacts', adminProtect, getAllContacts);
-router.get('/contacts/stats', adminProtect, getContactStats);
+router.get('/contacts', adminProtect, requirePermission('marketing:read'), getAllContacts);
+router.get('/contacts/stats', adminProtect, requirePermission('marketing:read'), getContactStats);
 
 export default router;
@@ -1,6 +1,13 @@
 import express from 'express';
-import { sendOtp, verifyOtp, resendOtp, logout } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import { sendOtp, verifyOtp, resendOtp } from '../controllers/authController.js';
+import {
+  refreshTokens,
+  logout,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+} from '../controllers/sessionController.js';
+import { protect, adminProtect, twoFactorSetupProtect } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -37,9 +44,13 @@ const router = express.Router();
  *                   type: string
  *                 otp:
  *                   type: string
- *                   description: OTP (only in development mode)
+ *                   description: OTP (only when OTP_DEV_MODE is on outside production)
  *       400:
  *         description: Bad request
+ *       429:
+ *         description: Too many OTP requests or locked out (see Retry-After)
+ *       502:
+ *         description: SMS provider could not send the OTP
  */
 router.post('/login', sendOtp);
 
@@ -83,6 +94,8 @@ router.post('/login', sendOtp);
  *                   type: object
  *       400:
  *         description: Invalid OTP or expired
+ *       429:
+ *         description: Too many wrong attempts; the number is locked out (see Retry-After)
  */
 router.post('/verify-otp', verifyOtp);
 
@@ -109,6 +122,10 @@ router.post('/verify-otp', verifyOtp);
  *         description: OTP resent successfully
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many OTP requests or locked out (see Retry-After)
+ *       502:
+ *         description: SMS provider could not send the OTP
  */
 router.post('/resend-otp', resendOtp);
 
@@ -136,20 +153,299 @@ router.post('/resend-otp', resendOtp);
  *                 example: "admin123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful, or - when two-factor authentication applies -
+ *           a challengeToken with twoFactorRequired (send a code to
+ *           /api/auth/admin/login/2fa) or twoFactorSetupRequired (enrol via
+ *           /api/auth/admin/2fa/setup and /api/auth/admin/2fa/enable)
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Deactivated, or a super-admin reset the password (passwordResetRequired)
+ *       429:
+ *         description: Locked after too many wrong passwords (see Retry-After)
  */
-import { adminLogin, createAdmin } from '../controllers/adminController.js';
+import {
+  adminLogin,
+  verifyAdminLoginCode,
+  forgotAdminPassword,
+  resetAdminPassword,
+  getPasswordPolicy,
+  bootstrapAdmin,
+  acceptAdminInvite,
+} from '../controllers/adminController.js';
+import { startTwoFactorSetup, enableTwoFactor } from '../controllers/twoFactorController.js';
 
 router.post('/admin/login', adminLogin);
-router.post('/admin/create', createAdmin);
+
+/**
+ * @swagger
+ * /api/auth/admin/login/2fa:
+ *   post:
+ *     summary: Finish admin login with an authenticator or recovery code
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Returned by /api/auth/admin/login, valid for 5 minutes
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Use instead of code when the authenticator is unavailable
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Challenge expired or code invalid
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/admin/login/2fa', verifyAdminLoginCode);
+
+/**
+ * @swagger
+ * /api/auth/admin/2fa/setup:
+ *   post:
+ *     summary: Start mandatory two-factor enrolment during login
+ *     description: |
+ *       For admins whose login returned twoFactorSetupRequired. Returns a
+ *       secret and otpauth URI to add to an authenticator app.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       401:
+ *         description: Challenge expired or invalid
+ */
+router.post('/admin/2fa/setup', twoFactorSetupProtect, startTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/auth/admin/2fa/enable:
+ *   post:
+ *     summary: Confirm mandatory two-factor enrolment and log in
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled; returns recovery codes and login tokens
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Challenge expired or invalid
+ */
+router.post('/admin/2fa/enable', twoFactorSetupProtect, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/admin/forgot-password:
+ *   post:
+ *     summary: Email an admin password reset link
+ *     description: |
+ *       Always answers the same way, whether or not the email belongs to an
+ *       admin. The link expires after 30 minutes.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       429:
+ *         description: Too many requests from this address (see Retry-After)
+ */
+router.post('/admin/forgot-password', forgotAdminPassword);
+
+/**
+ * @swagger
+ * /api/auth/admin/reset-password:
+ *   post:
+ *     summary: Set a new admin password with a reset token
+ *     description: Signs the admin out of every device.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Link invalid or expired, or password rejected by the policy
+ */
+router.post('/admin/reset-password', resetAdminPassword);
+
+/**
+ * @swagger
+ * /api/auth/admin/password-policy:
+ *   get:
+ *     summary: Rules admin passwords must meet
+ *     tags: [Admin Authentication]
+ *     responses:
+ *       200:
+ *         description: Minimum length, maximum bytes, character classes required and how many recent passwords are blocked
+ */
+router.get('/admin/password-policy', getPasswordPolicy);
+
+/**
+ * @swagger
+ * /api/auth/admin/bootstrap:
+ *   post:
+ *     summary: Create the first super-admin
+ *     description: |
+ *       Only works while no admin account exists, and only once. When
+ *       ADMIN_BOOTSTRAP_TOKEN is configured the same value must be sent as
+ *       bootstrapToken. Everyone after that joins through an invite.
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - name
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               bootstrapToken:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Super-admin created
+ *       403:
+ *         description: Wrong bootstrap token
+ *       409:
+ *         description: An admin already exists
+ */
+router.post('/admin/bootstrap', bootstrapAdmin);
+
+/**
+ * @swagger
+ * /api/auth/admin/accept-invite:
+ *   post:
+ *     summary: Accept an admin invite and set a password
+ *     tags: [Admin Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invite link
+ *               name:
+ *                 type: string
+ *                 description: Overrides the name the inviter entered
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: |
+ *           Admin account created and logged in, or - when the policy
+ *           requires two-factor authentication - a challengeToken with
+ *           twoFactorSetupRequired (enrol via /api/auth/admin/2fa/setup and
+ *           /api/auth/admin/2fa/enable)
+ *       400:
+ *         description: Invite invalid or expired, or password too weak
+ */
+router.post('/admin/accept-invite', acceptAdminInvite);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Get a new access token using a refresh token
+ *     description: Works for customer, admin and rider sessions. Reusing an already rotated refresh token revokes the session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token; the old refresh token stops working
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', refreshTokens);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Log out and revoke this device's session
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -161,4 +457,120 @@ router.post('/admin/create', createAdmin);
  */
 router.post('/logout', protect, logout);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List devices signed in to this account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved; the caller's own is marked current
+ */
+router.get('/sessions', protect, getMySessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/sessions', protect, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device (e.g. a lost phone)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', protect, revokeMySession);
+
+/**
+ * @swagger
+ * /api/auth/admin/logout:
+ *   post:
+ *     summary: Log out and revoke this device's session
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/admin/logout', adminProtect, logout);
+
+/**
+ * @swagger
+ * /api/auth/admin/sessions:
+ *   get:
+ *     summary: List devices signed in to this account
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved; the caller's own is marked current
+ */
+router.get('/admin/sessions', adminProtect, getMySessions);
+
+/**
+ * @swagger
+ * /api/auth/admin/sessions:
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/admin/sessions', adminProtect, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/admin/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device (e.g. a lost phone)
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/admin/sessions/:sessionId', adminProtect, revokeMySession);
+
 export default router;
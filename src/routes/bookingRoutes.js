@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
 import {
   createBooking,
   getUserBookings,
@@ -23,25 +23,59 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - serviceId
- *               - pickupDate
- *               - pickupTime
  *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Garment line items (serviceId, garmentType, quantity, addOns)
+ *                 items:
+ *                   type: object
  *               serviceId:
  *                 type: string
+ *                 description: Single-service shorthand when items is omitted
+ *               slotId:
+ *                 type: string
+ *                 description: Pickup slot from GET /api/slots/available
  *               pickupDate:
  *                 type: string
  *                 format: date
+ *                 description: Used with pickupTime when slotId is omitted
  *               pickupTime:
  *                 type: string
+ *               waitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist instead of failing when the slot is full
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address from /api/user/addresses
  *               address:
  *                 type: string
+ *               pincode:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
+ *               couponCode:
+ *                 type: string
+ *                 example: DIWALI20
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cod, upi, card]
+ *                 default: cod
+ *               useWallet:
+ *                 type: boolean
+ *               walletAmount:
+ *                 type: number
  *               notes:
  *                 type: string
  *     responses:
  *       201:
  *         description: Booking created successfully
+ *       409:
+ *         description: Pickup slot is full
  */
 router.post('/', protect, createBooking);
 
@@ -70,14 +104,18 @@ router.get('/user', protect, getUserBookings);
  *     responses:
  *       200:
  *         description: All bookings retrieved successfully
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Admin role lacks orders:read
  */
-router.get('/all', protect, getAllBookings);
+router.get('/all', adminProtect, requirePermission('orders:read'), getAllBookings);
 
 /**
  * @swagger
  * /api/bookings/{orderId}:
  *   put:
- *     summary: Update order status
+ *     summary: Update order status (Admin)
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -98,11 +136,27 @@ router.get('/all', protect, getAllBookings);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, picked, in-process, delivered, cancelled]
+ *                 enum: [pending, picked, in-process, ready, out-for-delivery, delivered, cancelled, failed]
+ *               note:
+ *                 type: string
+ *               handoverCode:
+ *                 type: string
+ *                 description: Customer's handover code, required to mark delivered
+ *               overrideReason:
+ *                 type: string
+ *                 description: Mark delivered without the code, recording why (needs orders:override-delivery)
+ *               recipientName:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Delivery needs a handover code or override reason
+ *       403:
+ *         description: Override attempted without orders:override-delivery
+ *       409:
+ *         description: Transition not allowed from the current status
  */
-router.put('/:orderId', protect, updateOrderStatus);
+router.put('/:orderId', adminProtect, requirePermission('orders:update-status'), updateOrderStatus);
 
 export default router;
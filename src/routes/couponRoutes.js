@@ -0,0 +1,207 @@
+import express from 'express';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  validateCouponCode,
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from '../controllers/couponController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountType
+ *         - discountValue
+ *       properties:
+ *         code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, flat]
+ *         discountValue:
+ *           type: number
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap for percentage coupons
+ *         minOrderValue:
+ *           type: number
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: number
+ *           description: Total uses across all users (omit for unlimited)
+ *         perUserLimit:
+ *           type: number
+ *         firstOrderOnly:
+ *           type: boolean
+ *         applicableServices:
+ *           type: array
+ *           description: Service IDs the discount applies to (empty = all)
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         code: DIWALI20
+ *         description: 20% off up to ₹100 this Diwali
+ *         discountType: percentage
+ *         discountValue: 20
+ *         maxDiscount: 100
+ *         minOrderValue: 300
+ *         validUntil: 2026-11-15T23:59:59.000Z
+ */
+
+/**
+ * @swagger
+ * /api/coupons/validate:
+ *   post:
+ *     summary: Preview a coupon discount for the cart
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               serviceId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon is valid, discount returned
+ *       400:
+ *         description: Coupon cannot be applied
+ */
+router.post('/validate', protect, validateCouponCode);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: Get all coupons (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('coupons:read'), getCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get coupon with redemptions (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ */
+router.get('/:id', adminProtect, requirePermission('coupons:read'), getCouponById);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ */
+router.post('/', adminProtect, requirePermission('coupons:write'), createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ */
+router.put('/:id', adminProtect, requirePermission('coupons:write'), updateCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Delete coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ */
+router.delete('/:id', adminProtect, requirePermission('coupons:write'), deleteCoupon);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { allowQueryToken, protect, adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  streamMyOrderEvents,
+  streamAdminOrderEvents,
+} from '../controllers/eventController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events/orders:
+ *   get:
+ *     summary: Live updates for my orders (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes `order.created`, `order.status-changed`,
+ *       `order.rider-assigned` and `order.rider-unassigned` events for the caller's orders.
+ *       Browsers using EventSource can pass the token as `access_token`. Reconnecting
+ *       clients send `Last-Event-ID` to receive recent events they missed.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/orders', allowQueryToken, protect, streamMyOrderEvents);
+
+/**
+ * @swagger
+ * /api/events/admin:
+ *   get:
+ *     summary: Live feed of all new orders and order updates (Server-Sent Events)
+ *     description: Same events as /api/events/orders, for every customer.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Admin privileges required
+ */
+router.get('/admin', allowQueryToken, adminProtect, requirePermission('orders:read'), streamAdminOrderEvents);
+
+export default router;
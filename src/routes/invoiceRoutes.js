@@ -0,0 +1,78 @@
+import express from 'express';
+import { adminProtect, requirePermission } from '../middleware/auth.js';
+import { getInvoices, getInvoice } from '../controllers/invoiceController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: List tax invoices by date range (Admin only)
+ *     description: Includes CGST/SGST/IGST totals for the whole range, for GST returns.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2026-04-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2026-04-30"
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *         example: "2026-27"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('invoices:read'), getInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get a tax invoice (Admin only)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', adminProtect, requirePermission('invoices:read'), getInvoice);
+
+export default router;
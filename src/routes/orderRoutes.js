@@ -1,6 +1,13 @@
 import express from 'express';
-import { protect, adminProtect } from '../middleware/auth.js';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
 import Order from '../models/Order.js';
+import { placeOrder, changeOrderStatus } from '../services/orderService.js';
+import { issueInvoice } from '../services/invoiceService.js';
+import { sendInvoice } from '../utils/invoiceRenderer.js';
+import { openDeliveryPhoto } from '../services/deliveryService.js';
+import { getOrderRiderLocation } from '../services/riderLocationService.js';
+import { ORDER_STATUSES } from '../utils/orderStatus.js';
+import { hasPermission } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -58,7 +65,7 @@ router.get('/', protect, async (req, res) => {
  *       200:
  *         description: All orders retrieved successfully
  */
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('orders:read'), async (req, res) => {
   try {
     console.log('🔹 Admin fetching all orders...');
 
@@ -74,6 +81,9 @@ router.get('/all', adminProtect, async (req, res) => {
     const pending = orders.filter(o => o.status === 'pending').length;
     const picked = orders.filter(o => o.status === 'picked').length;
     const inProcess = orders.filter(o => o.status === 'in-process').length;
+    const ready = orders.filter(o => o.status === 'ready').length;
+    const outForDelivery = orders.filter(o => o.status === 'out-for-delivery').length;
+    const failed = orders.filter(o => o.status === 'failed').length;
 
     console.log('✅ All orders fetched:', totalOrders);
 
@@ -86,6 +96,9 @@ router.get('/all', adminProtect, async (req, res) => {
         pending,
         picked,
         inProcess,
+        ready,
+        outForDelivery,
+        failed,
       },
       orders,
     });
@@ -110,7 +123,7 @@ router.get('/all', adminProtect, async (req, res) => {
  *       200:
  *         description: Stats retrieved successfully
  */
-router.get('/stats', adminProtect, async (req, res) => {
+router.get('/stats', adminProtect, requirePermission('dashboard:read'), async (req, res) => {
   try {
     console.log('🔹 Fetching order stats...');
 
@@ -123,6 +136,9 @@ router.get('/stats', adminProtect, async (req, res) => {
       pending: orders.filter(o => o.status === 'pending').length,
       picked: orders.filter(o => o.status === 'picked').length,
       inProcess: orders.filter(o => o.status === 'in-process').length,
+      ready: orders.filter(o => o.status === 'ready').length,
+      outForDelivery: orders.filter(o => o.status === 'out-for-delivery').length,
+      failed: orders.filter(o => o.status === 'failed').length,
     };
 
     console.log('✅ Stats fetched:', stats);
@@ -154,31 +170,83 @@ router.get('/stats', adminProtect, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - serviceId
- *               - serviceName
- *               - pickupDate
- *               - pickupTime
- *               - address
  *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Garment line items, priced on the server
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - serviceId
+ *                   properties:
+ *                     serviceId:
+ *                       type: string
+ *                     garmentType:
+ *                       type: string
+ *                       example: saree
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *                     addOns:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *               serviceId:
  *                 type: string
- *               serviceName:
+ *                 description: Single-service shorthand when items is omitted
+ *               slotId:
  *                 type: string
+ *                 description: Pickup slot from GET /api/slots/available
  *               pickupDate:
  *                 type: string
  *                 format: date-time
+ *                 description: Used with pickupTime when slotId is omitted
  *               pickupTime:
  *                 type: string
+ *                 example: "18:00-20:00"
+ *               waitlist:
+ *                 type: boolean
+ *                 description: Join the waitlist instead of failing when the slot is full
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address from /api/user/addresses (defaults to the default address)
  *               address:
  *                 type: string
- *               notes:
+ *                 description: Free-text address for older clients
+ *               pincode:
+ *                 type: string
+ *                 description: Used with a free-text address to check coverage and delivery fee
+ *               location:
+ *                 type: object
+ *                 description: Pickup coordinates, used when the pincode is not listed
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
+ *               couponCode:
  *                 type: string
- *               amount:
+ *                 example: DIWALI20
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cod, upi, card]
+ *                 default: cod
+ *                 description: How to pay whatever the wallet does not cover
+ *               useWallet:
+ *                 type: boolean
+ *                 description: Pay as much as possible from the wallet balance
+ *               walletAmount:
  *                 type: number
+ *                 description: Pay exactly this much from the wallet
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Order created successfully
+ *       400:
+ *         description: Address is outside our service area
+ *       409:
+ *         description: Pickup slot is full
  */
 router.post('/', protect, async (req, res) => {
   try {
@@ -186,40 +254,67 @@ router.post('/', protect, async (req, res) => {
     console.log('User ID:', req.user._id);
     console.log('Request Body:', req.body);
 
-    const { serviceId, serviceName, pickupDate, pickupTime, address, notes, amount } = req.body;
+    const {
+      items,
+      serviceId,
+      slotId,
+      pickupDate,
+      pickupTime,
+      waitlist,
+      addressId,
+      address,
+      pincode,
+      location,
+      couponCode,
+      paymentMethod,
+      useWallet,
+      walletAmount,
+      notes,
+    } = req.body;
 
-    // Validation
-    if (!serviceId || !serviceName || !pickupDate || !pickupTime || !address) {
+    // Validation (address falls back to the user's default saved address)
+    if ((!items && !serviceId) || (!slotId && (!pickupDate || !pickupTime))) {
       return res.status(400).json({
         success: false,
         message: 'Please provide all required fields',
       });
     }
 
-    // Create order
-    const order = await Order.create({
-      userId: req.user._id,
+    // Create order (prices come from the Service catalog, never the client)
+    const { order, payment, walletPayment, checkout } = await placeOrder({
+      user: req.user,
+      items,
       serviceId,
-      serviceName,
-      pickupDate: new Date(pickupDate),
+      slotId,
+      pickupDate,
       pickupTime,
+      waitlist,
+      addressId,
       address,
+      pincode,
+      location,
+      couponCode,
+      paymentMethod,
+      useWallet,
+      walletAmount,
       notes,
-      amount,
-      customerName: req.user.name,
-      customerPhone: req.user.phoneNumber,
     });
 
     console.log('✅ Order created:', order._id);
 
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
+      message: order.pickupSlot.waitlisted
+        ? 'Pickup slot is full, order added to the waitlist'
+        : 'Order created successfully',
       order,
+      payment,
+      walletPayment,
+      checkout,
     });
   } catch (error) {
     console.error('❌ Error creating order:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -230,7 +325,7 @@ router.post('/', protect, async (req, res) => {
  * @swagger
  * /api/orders/{id}:
  *   get:
- *     summary: Get order by ID
+ *     summary: Get my order by ID
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -248,7 +343,8 @@ router.post('/', protect, async (req, res) => {
  */
 router.get('/:id', protect, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).populate('serviceId');
+    // Only the customer's own orders; anyone else's looks like it doesn't exist
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id }).populate('serviceId');
 
     if (!order) {
       return res.status(404).json({
@@ -269,6 +365,271 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/tracking:
+ *   get:
+ *     summary: Get order tracking timeline
+ *     description: |
+ *       Status changes and events such as a rider being assigned, plus the rider
+ *       currently handling the order. While out for delivery it also returns the
+ *       handover code the customer gives the rider.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tracking timeline retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/tracking', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('+handover.code')
+      .populate('pickupTask.riderId', 'name phoneNumber')
+      .populate('deliveryTask.riderId', 'name phoneNumber');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const timeline = order.statusHistory.map((entry) => ({
+      status: entry.status,
+      event: entry.event,
+      changedAt: entry.changedAt,
+      actorType: entry.actor?.type,
+      note: entry.note,
+    }));
+
+    // The rider currently on the way: pickup before collection, delivery after
+    const task = order.status === 'pending' ? order.pickupTask : order.deliveryTask;
+    const rider = task?.riderId && !task.completedAt
+      ? { name: task.riderId.name, phoneNumber: task.riderId.phoneNumber }
+      : null;
+
+    res.status(200).json({
+      success: true,
+      status: order.status,
+      rider,
+      // Shown to the customer to read out to the rider at the door
+      handoverCode: order.status === 'out-for-delivery' ? order.handover?.code : undefined,
+      timeline,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/rider-location:
+ *   get:
+ *     summary: Live location and ETA of the rider coming to me
+ *     description: |
+ *       available is false when no rider is on the way. If the rider's phone
+ *       stops sending pings the last known location is returned with
+ *       stale true and no ETA.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rider location retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/rider-location', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const tracking = await getOrderRiderLocation(order);
+
+    res.status(200).json({
+      success: true,
+      ...tracking,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/invoice:
+ *   get:
+ *     summary: Get the GST tax invoice for a delivered order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       400:
+ *         description: Order has not been delivered yet
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const invoice = await issueInvoice(order);
+
+    sendInvoice(res, invoice, req.query.format);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/proof-of-delivery:
+ *   get:
+ *     summary: Get proof of delivery for my order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proof of delivery retrieved successfully
+ *       404:
+ *         description: Order not found or not delivered
+ */
+router.get('/:id/proof-of-delivery', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!order || !order.proofOfDelivery?.deliveredAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No proof of delivery for this order',
+      });
+    }
+
+    const { method, recipientName, deliveredAt, photo } = order.proofOfDelivery;
+
+    res.status(200).json({
+      success: true,
+      proofOfDelivery: {
+        method,
+        recipientName,
+        deliveredAt,
+        photoUrl: photo?.key ? `/api/orders/${order._id}/proof-of-delivery/photo` : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/proof-of-delivery/photo:
+ *   get:
+ *     summary: Get the delivery photo for my order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Photo
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: No delivery photo for this order
+ */
+router.get('/:id/proof-of-delivery/photo', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { contentType, stream } = await openDeliveryPhoto(order);
+
+    res.setHeader('Content-Type', contentType);
+    stream.pipe(res);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/{id}/cancel:
@@ -283,9 +644,22 @@ router.get('/:id', protect, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order cancelled successfully
+ *       400:
+ *         description: Cancellation policy does not allow cancelling at this stage
+ *       409:
+ *         description: Order can no longer be cancelled
  */
 router.patch('/:id/cancel', protect, async (req, res) => {
   try {
@@ -308,27 +682,27 @@ router.patch('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (order.status === 'delivered' || order.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot cancel order with status: ${order.status}`,
-      });
-    }
-
-    order.status = 'cancelled';
-    await order.save();
+    await changeOrderStatus(order, 'cancelled', {
+      actorType: 'user',
+      actorId: req.user._id,
+      note: req.body?.reason,
+    });
 
     console.log('✅ Order cancelled successfully');
 
+    const fee = order.cancellation?.fee || 0;
+
     res.status(200).json({
       success: true,
-      message: 'Order cancelled successfully',
+      message: fee > 0
+        ? `Order cancelled with a cancellation fee of ₹${fee}`
+        : 'Order cancelled successfully',
+      cancellationFee: fee,
       order,
     });
   } catch (error) {
     console.error('❌ Error cancelling order:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -360,18 +734,34 @@ router.patch('/:id/cancel', protect, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, picked, in-process, delivered, cancelled]
+ *                 enum: [pending, picked, in-process, ready, out-for-delivery, delivered, cancelled, failed]
+ *               note:
+ *                 type: string
+ *               handoverCode:
+ *                 type: string
+ *                 description: Customer's handover code, required to mark delivered
+ *               overrideReason:
+ *                 type: string
+ *                 description: Mark delivered without the code, recording why (needs orders:override-delivery)
+ *               recipientName:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Delivery needs a handover code or override reason
+ *       403:
+ *         description: Override attempted without orders:override-delivery
+ *       409:
+ *         description: Transition not allowed from the current status
  */
-router.patch('/:id/status', adminProtect, async (req, res) => {
+router.patch('/:id/status', adminProtect, requirePermission('orders:update-status'), async (req, res) => {
   try {
     console.log('🔹 Admin updating order status:', req.params.id);
     console.log('Admin:', req.admin?.email);
     console.log('New status:', req.body.status);
 
-    const { status } = req.body;
+    const { status, note, handoverCode, overrideReason, recipientName } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -380,8 +770,7 @@ router.patch('/:id/status', adminProtect, async (req, res) => {
       });
     }
 
-    const validStatuses = ['pending', 'picked', 'in-process', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status value',
@@ -397,8 +786,13 @@ router.patch('/:id/status', adminProtect, async (req, res) => {
       });
     }
 
-    order.status = status;
-    await order.save();
+    await changeOrderStatus(order, status, {
+      actorType: 'admin',
+      actorId: req.admin._id,
+      note,
+      proof: { handoverCode, overrideReason, recipientName },
+      canOverrideDelivery: hasPermission(req.adminPermissions, 'orders:override-delivery'),
+    });
 
     console.log('✅ Order status updated successfully');
 
@@ -409,7 +803,7 @@ router.patch('/:id/status', adminProtect, async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error updating order status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message,
     });
@@ -434,7 +828,7 @@ router.patch('/:id/status', adminProtect, async (req, res) => {
  *       200:
  *         description: Order deleted successfully
  */
-router.delete('/:id', adminProtect, async (req, res) => {
+router.delete('/:id', adminProtect, requirePermission('orders:delete'), async (req, res) => {
   try {
     const order = await Order.findByIdAndDelete(req.params.id);
 
@@ -0,0 +1,156 @@
+import express from 'express';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  paymentWebhook,
+  getOrderPayments,
+  getPayments,
+  getReconciliation,
+  simulatePaymentEvent,
+} from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook (signature verified)
+ *     tags: [Payments]
+ *     description: |
+ *       Events are applied at most once per event id. Authorised or captured
+ *       events whose amount differs from the payment are ignored. With the mock gateway,
+ *       sign the raw JSON body with HMAC-SHA256 using PAYMENT_WEBHOOK_SECRET
+ *       and send it hex-encoded in the x-mock-signature header.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               id: evt_123
+ *               event: payment.captured
+ *               data:
+ *                 orderId: mock_order_abc
+ *                 paymentId: mock_pay_def
+ *                 amount: 354
+ *     responses:
+ *       200:
+ *         description: Event received (may be ignored if already applied)
+ *       401:
+ *         description: Invalid signature
+ */
+router.post('/webhook', paymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/order/{orderId}:
+ *   get:
+ *     summary: Get payments for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ */
+router.get('/order/:orderId', protect, getOrderPayments);
+
+/**
+ * @swagger
+ * /api/payments/reconciliation:
+ *   get:
+ *     summary: Collected money vs delivered order value (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reconciliation retrieved successfully
+ */
+router.get('/reconciliation', adminProtect, requirePermission('payments:read'), getReconciliation);
+
+/**
+ * @swagger
+ * /api/payments:
+ *   get:
+ *     summary: List payments (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, authorized, captured, failed, refunded]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [cod, upi, card, wallet]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       400:
+ *         description: Unknown status or method, or an invalid date
+ */
+router.get('/', adminProtect, requirePermission('payments:read'), getPayments);
+
+/**
+ * @swagger
+ * /api/payments/{id}/simulate:
+ *   post:
+ *     summary: Simulate a mock gateway webhook (Admin only, non-production)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.captured, payment.failed]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Webhook simulated
+ */
+router.post('/:id/simulate', adminProtect, requirePermission('payments:manage'), simulatePaymentEvent);
+
+export default router;
@@ -0,0 +1,169 @@
+import express from 'express';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  getMyRefunds,
+  getRefunds,
+  createRefundRequest,
+  approveRefundRequest,
+  rejectRefundRequest,
+  retryCancellationRefundRequests,
+} from '../controllers/refundController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/refunds/my:
+ *   get:
+ *     summary: Get my refunds
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ */
+router.get('/my', protect, getMyRefunds);
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   get:
+ *     summary: List refunds (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processed, rejected, failed]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('payments:read'), getRefunds);
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   post:
+ *     summary: Raise a full or partial refund (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               paymentId:
+ *                 type: string
+ *                 description: Defaults to the first payment with money left on it
+ *               amount:
+ *                 type: number
+ *                 description: Omit for a full refund of what is left
+ *               category:
+ *                 type: string
+ *                 enum: [cancellation, damaged, missing-item, service-issue, goodwill, other]
+ *               reason:
+ *                 type: string
+ *               destination:
+ *                 type: string
+ *                 enum: [original, wallet]
+ *                 default: original
+ *                 description: Refund to the original payment method or as wallet credit
+ *     responses:
+ *       201:
+ *         description: Refund requested, awaiting approval
+ */
+router.post('/', adminProtect, requirePermission('refunds:manage'), createRefundRequest);
+
+/**
+ * @swagger
+ * /api/refunds/retry-cancellations:
+ *   post:
+ *     summary: Raise cancellation refunds that failed when orders were cancelled (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Refunds raised; orders that still failed are listed in failed
+ */
+router.post('/retry-cancellations', adminProtect, requirePermission('refunds:manage'), retryCancellationRefundRequests);
+
+/**
+ * @swagger
+ * /api/refunds/{id}/approve:
+ *   patch:
+ *     summary: Approve and process a refund (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund processed successfully
+ *       409:
+ *         description: Refund is not pending approval
+ */
+router.patch('/:id/approve', adminProtect, requirePermission('refunds:manage'), approveRefundRequest);
+
+/**
+ * @swagger
+ * /api/refunds/{id}/reject:
+ *   patch:
+ *     summary: Reject a refund (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund rejected
+ */
+router.patch('/:id/reject', adminProtect, requirePermission('refunds:manage'), rejectRefundRequest);
+
+export default router;
@@ -0,0 +1,538 @@
+import express from 'express';
+import { adminProtect, riderProtect, requirePermission } from '../middleware/auth.js';
+import { uploadPhoto } from '../middleware/upload.js';
+import {
+  sendRiderOtp,
+  verifyRiderOtp,
+  getRiderProfile,
+  getMyTasks,
+  arriveAtTask,
+  confirmTaskPickup,
+  startTaskDelivery,
+  completeTaskDelivery,
+  postLocation,
+  getLiveMap,
+  getTrail,
+  getRiders,
+  createRider,
+  updateRider,
+} from '../controllers/riderController.js';
+import {
+  logout,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  revokeRiderSessions,
+} from '../controllers/sessionController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/riders/auth/login:
+ *   post:
+ *     summary: Send a login OTP to a rider
+ *     tags: [Riders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *       404:
+ *         description: Rider not found
+ *       429:
+ *         description: Too many OTP requests or locked out (see Retry-After)
+ */
+router.post('/auth/login', sendRiderOtp);
+
+/**
+ * @swagger
+ * /api/riders/auth/verify-otp:
+ *   post:
+ *     summary: Verify a rider's OTP and get a rider token
+ *     tags: [Riders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - otp
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OTP verified successfully
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many wrong attempts; the number is locked out (see Retry-After)
+ */
+router.post('/auth/verify-otp', verifyRiderOtp);
+
+/**
+ * @swagger
+ * /api/riders/auth/logout:
+ *   post:
+ *     summary: Log out and revoke this device's session
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/auth/logout', riderProtect, logout);
+
+/**
+ * @swagger
+ * /api/riders/auth/sessions:
+ *   get:
+ *     summary: List devices signed in to this account
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved; the caller's own is marked current
+ */
+router.get('/auth/sessions', riderProtect, getMySessions);
+
+/**
+ * @swagger
+ * /api/riders/auth/sessions:
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/auth/sessions', riderProtect, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/riders/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device (e.g. a lost phone)
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/auth/sessions/:sessionId', riderProtect, revokeMySession);
+
+/**
+ * @swagger
+ * /api/riders/me:
+ *   get:
+ *     summary: Get the logged in rider's profile
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rider profile retrieved successfully
+ */
+router.get('/me', riderProtect, getRiderProfile);
+
+/**
+ * @swagger
+ * /api/riders/tasks:
+ *   get:
+ *     summary: Get my pickups and deliveries for a day
+ *     description: |
+ *       runs lists the open stops in riding order (one run per pickup slot, then
+ *       deliveries) with leg distance, running distance and ETA per stop.
+ *       Distances are straight-line estimates; no maps API is used.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Rider's current position, to plan from here instead of the store
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ */
+router.get('/tasks', riderProtect, getMyTasks);
+
+/**
+ * @swagger
+ * /api/riders/tasks/{orderId}/arrive:
+ *   patch:
+ *     summary: Mark arrival at the customer for a pickup or delivery
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *     responses:
+ *       200:
+ *         description: Arrival recorded
+ *       404:
+ *         description: Task not assigned to this rider
+ */
+router.patch('/tasks/:orderId/arrive', riderProtect, arriveAtTask);
+
+/**
+ * @swagger
+ * /api/riders/tasks/{orderId}/pickup:
+ *   patch:
+ *     summary: Confirm pickup with the number of pieces collected
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemCount
+ *             properties:
+ *               itemCount:
+ *                 type: integer
+ *                 example: 6
+ *     responses:
+ *       200:
+ *         description: Pickup confirmed
+ *       409:
+ *         description: Order is not awaiting pickup
+ */
+router.patch('/tasks/:orderId/pickup', riderProtect, confirmTaskPickup);
+
+/**
+ * @swagger
+ * /api/riders/tasks/{orderId}/start-delivery:
+ *   patch:
+ *     summary: Take a ready order out for delivery
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order is out for delivery
+ *       409:
+ *         description: Order is not ready
+ */
+router.patch('/tasks/:orderId/start-delivery', riderProtect, startTaskDelivery);
+
+/**
+ * @swagger
+ * /api/riders/tasks/{orderId}/deliver:
+ *   patch:
+ *     summary: Mark an order delivered
+ *     description: The customer reads out their handover code from the app. A photo of the handover is optional.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - handoverCode
+ *             properties:
+ *               handoverCode:
+ *                 type: string
+ *                 example: "4821"
+ *               recipientName:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP up to 5 MB
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - handoverCode
+ *             properties:
+ *               handoverCode:
+ *                 type: string
+ *               recipientName:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order delivered
+ *       400:
+ *         description: Handover code missing or incorrect
+ *       409:
+ *         description: Order is not out for delivery
+ *       429:
+ *         description: Too many wrong handover codes
+ */
+router.patch('/tasks/:orderId/deliver', riderProtect, uploadPhoto('photo'), completeTaskDelivery);
+
+/**
+ * @swagger
+ * /api/riders/location:
+ *   post:
+ *     summary: Report my current GPS position
+ *     description: Send every 15-30 seconds while on duty. Pings are kept for a day.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lat
+ *               - lng
+ *             properties:
+ *               lat:
+ *                 type: number
+ *               lng:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *                 description: Metres
+ *               speedKmh:
+ *                 type: number
+ *               heading:
+ *                 type: number
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the phone took the fix (defaults to now)
+ *     responses:
+ *       201:
+ *         description: Location recorded
+ */
+router.post('/location', riderProtect, postLocation);
+
+/**
+ * @swagger
+ * /api/riders/live:
+ *   get:
+ *     summary: Live map of active riders (Admin only)
+ *     description: Last known position per rider; stale is true when no ping arrived recently.
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rider locations retrieved successfully
+ */
+router.get('/live', adminProtect, requirePermission('riders:read'), getLiveMap);
+
+/**
+ * @swagger
+ * /api/riders/{id}/trail:
+ *   get:
+ *     summary: A rider's recent GPS trail (Admin only)
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to the last two hours
+ *     responses:
+ *       200:
+ *         description: Trail retrieved successfully
+ */
+router.get('/:id/trail', adminProtect, requirePermission('riders:read'), getTrail);
+
+/**
+ * @swagger
+ * /api/riders:
+ *   get:
+ *     summary: List riders (Admin only)
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Riders retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('riders:read'), getRiders);
+
+/**
+ * @swagger
+ * /api/riders:
+ *   post:
+ *     summary: Register a rider (Admin only)
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - phoneNumber
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               vehicleNumber:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rider created successfully
+ */
+router.post('/', adminProtect, requirePermission('riders:write'), createRider);
+
+/**
+ * @swagger
+ * /api/riders/{id}:
+ *   put:
+ *     summary: Update or deactivate a rider (Admin only)
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               vehicleNumber:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Rider updated successfully
+ *       404:
+ *         description: Rider not found
+ */
+router.put('/:id', adminProtect, requirePermission('riders:write'), updateRider);
+
+/**
+ * @swagger
+ * /api/riders/{id}/sessions:
+ *   delete:
+ *     summary: Sign a rider out of every device
+ *     tags: [Riders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router.delete('/:id/sessions', adminProtect, requirePermission('riders:write'), revokeRiderSessions);
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  checkServiceArea,
+  getServiceAreas,
+  createServiceArea,
+  updateServiceArea,
+  deleteServiceArea,
+} from '../controllers/serviceAreaController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ServiceArea:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [pincode, radius, polygon]
+ *         pincodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         center:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         radiusKm:
+ *           type: number
+ *         polygon:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               lat:
+ *                 type: number
+ *               lng:
+ *                 type: number
+ *         deliveryFee:
+ *           type: number
+ *         freeDeliveryAbove:
+ *           type: number
+ *         minOrderValue:
+ *           type: number
+ *         enabledServices:
+ *           type: array
+ *           description: Service IDs offered here (empty = all)
+ *           items:
+ *             type: string
+ *         priority:
+ *           type: number
+ *           description: Lower wins when zones overlap
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         name: Koramangala
+ *         type: pincode
+ *         pincodes: ["560034", "560095"]
+ *         deliveryFee: 30
+ *         freeDeliveryAbove: 500
+ *         minOrderValue: 199
+ */
+
+/**
+ * @swagger
+ * /api/service-areas/check:
+ *   get:
+ *     summary: Check if a pincode or location is serviceable (Public)
+ *     tags: [Service Areas]
+ *     parameters:
+ *       - in: query
+ *         name: pincode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: subtotal
+ *         schema:
+ *           type: number
+ *         description: Order value, to work out free delivery
+ *     responses:
+ *       200:
+ *         description: Coverage result (see serviceable flag)
+ *       400:
+ *         description: Pincode or coordinates missing
+ */
+router.get('/check', checkServiceArea);
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   get:
+ *     summary: Get all service areas (Admin only)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service areas retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('service-areas:read'), getServiceAreas);
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   post:
+ *     summary: Create a service area (Admin only)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceArea'
+ *     responses:
+ *       201:
+ *         description: Service area created successfully
+ */
+router.post('/', adminProtect, requirePermission('service-areas:write'), createServiceArea);
+
+/**
+ * @swagger
+ * /api/service-areas/{id}:
+ *   put:
+ *     summary: Update a service area (Admin only)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceArea'
+ *     responses:
+ *       200:
+ *         description: Service area updated successfully
+ */
+router.put('/:id', adminProtect, requirePermission('service-areas:write'), updateServiceArea);
+
+/**
+ * @swagger
+ * /api/service-areas/{id}:
+ *   delete:
+ *     summary: Delete a service area (Admin only)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service area deleted successfully
+ */
+router.delete('/:id', adminProtect, requirePermission('service-areas:write'), deleteServiceArea);
+
+export default router;
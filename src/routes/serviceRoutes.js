@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, adminProtect } from '../middleware/auth.js';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
 import {
   getAllServices,
   getAllServicesAdmin,
@@ -48,6 +48,33 @@ const router = express.Router();
  *         estimatedDays:
  *           type: number
  *           description: Estimated delivery days
+ *         garmentPrices:
+ *           type: array
+ *           description: Per-piece price by garment type (falls back to price)
+ *           items:
+ *             type: object
+ *             properties:
+ *               garmentType:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *         addOns:
+ *           type: array
+ *           description: Optional extras charged per piece
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *         taxRate:
+ *           type: number
+ *           description: GST rate in percent
+ *         sacCode:
+ *           type: string
+ *           description: SAC code shown on tax invoices
+ *           default: "9997"
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -119,7 +146,7 @@ router.get('/', getAllServices);
  *       500:
  *         description: Server error
  */
-router.get('/all', adminProtect, getAllServicesAdmin);
+router.get('/all', adminProtect, requirePermission('services:read'), getAllServicesAdmin);
 
 /**
  * @swagger
@@ -157,7 +184,7 @@ router.get('/all', adminProtect, getAllServicesAdmin);
  *       500:
  *         description: Server error
  */
-router.patch('/:id/toggle', adminProtect, toggleServiceStatus);
+router.patch('/:id/toggle', adminProtect, requirePermission('services:write'), toggleServiceStatus);
 
 /**
  * @swagger
@@ -222,6 +249,18 @@ router.get('/:id', getServiceById);
  *                 type: string
  *               estimatedDays:
  *                 type: number
+ *               garmentPrices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               addOns:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               taxRate:
+ *                 type: number
+ *               sacCode:
+ *                 type: string
  *             example:
  *               name: Wash & Iron
  *               description: Complete washing and ironing service
@@ -249,7 +288,7 @@ router.get('/:id', getServiceById);
  *       500:
  *         description: Server error
  */
-router.post('/', adminProtect, createService);
+router.post('/', adminProtect, requirePermission('services:write'), createService);
 
 /**
  * @swagger
@@ -287,6 +326,18 @@ router.post('/', adminProtect, createService);
  *                 type: number
  *               isActive:
  *                 type: boolean
+ *               garmentPrices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               addOns:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               taxRate:
+ *                 type: number
+ *               sacCode:
+ *                 type: string
  *             example:
  *               name: Wash & Iron
  *               description: Updated description
@@ -316,7 +367,7 @@ router.post('/', adminProtect, createService);
  *       500:
  *         description: Server error
  */
-router.put('/:id', adminProtect, updateService);
+router.put('/:id', adminProtect, requirePermission('services:write'), updateService);
 
 /**
  * @swagger
@@ -343,7 +394,7 @@ router.put('/:id', adminProtect, updateService);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', adminProtect, deleteService);
+router.delete('/:id', adminProtect, requirePermission('services:write'), deleteService);
 
 /**
  * @swagger
@@ -370,6 +421,6 @@ router.delete('/:id', adminProtect, deleteService);
  *       500:
  *         description: Server error
  */
-router.delete('/:id/permanent', adminProtect, permanentDeleteService);
+router.delete('/:id/permanent', adminProtect, requirePermission('services:delete'), permanentDeleteService);
 
 export default router;
\ No newline at end of file
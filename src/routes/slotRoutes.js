@@ -0,0 +1,231 @@
+import express from 'express';
+import { adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  getAvailableSlots,
+  getSlots,
+  createSlots,
+  updateSlot,
+  deleteSlot,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout,
+} from '../controllers/slotController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/slots/available:
+ *   get:
+ *     summary: Get available pickup slots (Public)
+ *     tags: [Pickup Slots]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to return (defaults to today)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Number of days to return (max 14)
+ *     responses:
+ *       200:
+ *         description: Available slots retrieved successfully
+ */
+router.get('/available', getAvailableSlots);
+
+/**
+ * @swagger
+ * /api/slots/blackouts:
+ *   get:
+ *     summary: Get upcoming blackout dates (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blackout dates retrieved successfully
+ */
+router.get('/blackouts', adminProtect, requirePermission('slots:read'), getBlackouts);
+
+/**
+ * @swagger
+ * /api/slots/blackouts:
+ *   post:
+ *     summary: Add a blackout date (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Blackout date added successfully
+ */
+router.post('/blackouts', adminProtect, requirePermission('slots:write'), createBlackout);
+
+/**
+ * @swagger
+ * /api/slots/blackouts/{id}:
+ *   delete:
+ *     summary: Remove a blackout date (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blackout date removed successfully
+ */
+router.delete('/blackouts/:id', adminProtect, requirePermission('slots:write'), deleteBlackout);
+
+/**
+ * @swagger
+ * /api/slots:
+ *   get:
+ *     summary: Get configured slots with booking counts (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Slots retrieved successfully
+ */
+router.get('/', adminProtect, requirePermission('slots:read'), getSlots);
+
+/**
+ * @swagger
+ * /api/slots:
+ *   post:
+ *     summary: Create or update slot windows for a date range (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *               - windows
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *               daysOfWeek:
+ *                 type: array
+ *                 description: Limit to these weekdays (0 = Sunday)
+ *                 items:
+ *                   type: integer
+ *               windows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                       example: "18:00"
+ *                     endTime:
+ *                       type: string
+ *                       example: "20:00"
+ *                     capacity:
+ *                       type: integer
+ *                       example: 15
+ *     responses:
+ *       201:
+ *         description: Pickup slots saved successfully
+ */
+router.post('/', adminProtect, requirePermission('slots:write'), createSlots);
+
+/**
+ * @swagger
+ * /api/slots/{id}:
+ *   put:
+ *     summary: Update a pickup slot (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *               endTime:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Pickup slot updated successfully
+ */
+router.put('/:id', adminProtect, requirePermission('slots:write'), updateSlot);
+
+/**
+ * @swagger
+ * /api/slots/{id}:
+ *   delete:
+ *     summary: Delete a pickup slot (Admin only)
+ *     tags: [Pickup Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pickup slot deleted or deactivated
+ */
+router.delete('/:id', adminProtect, requirePermission('slots:write'), deleteSlot);
+
+export default router;
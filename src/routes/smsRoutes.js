@@ -8,7 +8,8 @@ import {
   getSmsStatistics,
   deleteUserSms
 } from '../controllers/smsController.js';
-import { protect, adminProtect } from '../middleware/auth.js';
+import { smsStatusCallback, getSentSms } from '../controllers/smsDeliveryController.js';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
 
 // Sync routes (called from mobile app)
 router.post('/sync', protect, syncSms);
@@ -16,10 +17,14 @@ router.post('/sync-batch', protect, syncSmsBatch);
 
 // Get routes
 router.get('/user/:userId', protect, getUserSms);
-router.get('/all', adminProtect, getAllSms);
-router.get('/statistics', adminProtect, getSmsStatistics);
+router.get('/all', adminProtect, requirePermission('marketing:read'), getAllSms);
+router.get('/statistics', adminProtect, requirePermission('marketing:read'), getSmsStatistics);
+
+// Outbound messages: provider delivery receipts and the admin outbox
+router.post('/status-callback', smsStatusCallback);
+router.get('/outbox', adminProtect, requirePermission('marketing:read'), getSentSms);
 
 // Delete route (admin only)
-router.delete('/user/:userId', adminProtect, deleteUserSms);
+router.delete('/user/:userId', adminProtect, requirePermission('marketing:delete'), deleteUserSms);
 
 export default router;
@@ -1,7 +1,21 @@
 import express from 'express';
-import { protect, adminProtect } from '../middleware/auth.js';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
+import DeviceToken from '../models/DeviceToken.js';
+import { isValidGstin } from '../utils/gst.js';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
+import {
+  getDevices,
+  addDevice,
+  removeDevice,
+} from '../controllers/deviceController.js';
 
 const router = express.Router();
 
@@ -60,13 +74,35 @@ router.get('/profile', protect, async (req, res) => {
  *                 type: boolean
  *               contactPermission:
  *                 type: boolean
+ *               businessName:
+ *                 type: string
+ *               gstin:
+ *                 type: string
+ *                 description: GSTIN for tax invoices (send an empty string to remove)
  *     responses:
  *       200:
  *         description: Profile updated successfully
+ *       400:
+ *         description: Invalid GSTIN
  */
 router.put('/profile', protect, async (req, res) => {
   try {
-    const { name, email, address, smsPermission, contactPermission } = req.body;
+    const {
+      name,
+      email,
+      address,
+      smsPermission,
+      contactPermission,
+      businessName,
+      gstin,
+    } = req.body;
+
+    if (gstin && !isValidGstin(gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid 15 character GSTIN',
+      });
+    }
     
     const updateData = {};
     if (name !== undefined) updateData.name = name;
@@ -74,6 +110,9 @@ router.put('/profile', protect, async (req, res) => {
     if (address !== undefined) updateData.address = address;
     if (smsPermission !== undefined) updateData.smsPermission = smsPermission;
     if (contactPermission !== undefined) updateData.contactPermission = contactPermission;
+    if (businessName !== undefined) updateData.businessName = businessName;
+    if (gstin) updateData.gstin = gstin.toUpperCase();
+    if (gstin === '') updateData.$unset = { gstin: 1 };
     
     // Mark profile as complete if name and address are provided
     if (name && address) {
@@ -125,7 +164,7 @@ router.get('/dashboard', protect, async (req, res) => {
     const totalOrders = orders.length;
     const deliveredOrders = orders.filter(o => o.status === 'delivered').length;
     const cancelledOrders = orders.filter(o => o.status === 'cancelled').length;
-    const pendingOrders = orders.filter(o => ['pending', 'picked', 'in-process'].includes(o.status)).length;
+    const pendingOrders = orders.filter(o => ['pending', 'picked', 'in-process', 'ready', 'out-for-delivery'].includes(o.status)).length;
 
     // Get recent orders (last 5)
     const recentOrders = orders.slice(0, 5);
@@ -149,6 +188,218 @@ router.get('/dashboard', protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required:
+ *         - line1
+ *         - pincode
+ *         - city
+ *       properties:
+ *         label:
+ *           type: string
+ *           example: Home
+ *         line1:
+ *           type: string
+ *         line2:
+ *           type: string
+ *         landmark:
+ *           type: string
+ *         pincode:
+ *           type: string
+ *           example: "560034"
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         location:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         isDefault:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/user/addresses:
+ *   get:
+ *     summary: Get saved addresses
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Addresses retrieved successfully
+ */
+router.get('/addresses', protect, getAddresses);
+
+/**
+ * @swagger
+ * /api/user/addresses:
+ *   post:
+ *     summary: Add a saved address
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address added successfully
+ *       400:
+ *         description: Invalid address or address book full
+ */
+router.post('/addresses', protect, addAddress);
+
+/**
+ * @swagger
+ * /api/user/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated successfully
+ */
+router.put('/addresses/:addressId', protect, updateAddress);
+
+/**
+ * @swagger
+ * /api/user/addresses/{addressId}/default:
+ *   patch:
+ *     summary: Make a saved address the default
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default address updated
+ */
+router.patch('/addresses/:addressId/default', protect, setDefaultAddress);
+
+/**
+ * @swagger
+ * /api/user/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted successfully
+ */
+router.delete('/addresses/:addressId', protect, deleteAddress);
+
+/**
+ * @swagger
+ * /api/user/devices:
+ *   get:
+ *     summary: List devices registered for push notifications
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ */
+router.get('/devices', protect, getDevices);
+
+/**
+ * @swagger
+ * /api/user/devices:
+ *   post:
+ *     summary: Register a device's FCM token for push notifications
+ *     description: Call on every app start; a token already linked to another account moves to this one.
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *     responses:
+ *       200:
+ *         description: Device registered
+ *       400:
+ *         description: Missing token or unknown platform
+ */
+router.post('/devices', protect, addDevice);
+
+/**
+ * @swagger
+ * /api/user/devices:
+ *   delete:
+ *     summary: Unregister a device from push notifications
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device unregistered
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/devices', protect, removeDevice);
+
 /**
  * @swagger
  * /api/user/all:
@@ -161,7 +412,7 @@ router.get('/dashboard', protect, async (req, res) => {
  *       200:
  *         description: All users retrieved successfully
  */
-router.get('/all', adminProtect, async (req, res) => {
+router.get('/all', adminProtect, requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.find().select('-otp -otpExpiry').sort({ createdAt: -1 });
     
@@ -196,7 +447,7 @@ router.get('/all', adminProtect, async (req, res) => {
  *       200:
  *         description: User retrieved successfully
  */
-router.get('/:id', adminProtect, async (req, res) => {
+router.get('/:id', adminProtect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-otp -otpExpiry');
     
@@ -250,7 +501,7 @@ router.get('/:id', adminProtect, async (req, res) => {
  *       200:
  *         description: User updated successfully
  */
-router.put('/:id', adminProtect, async (req, res) => {
+router.put('/:id', adminProtect, requirePermission('users:write'), async (req, res) => {
   try {
     const { name, email, address } = req.body;
     
@@ -298,7 +549,7 @@ router.put('/:id', adminProtect, async (req, res) => {
  *       200:
  *         description: User deleted successfully
  */
-router.delete('/:id', adminProtect, async (req, res) => {
+router.delete('/:id', adminProtect, requirePermission('users:delete'), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
@@ -309,6 +560,8 @@ router.delete('/:id', adminProtect, async (req, res) => {
       });
     }
 
+    await DeviceToken.deleteMany({ userId: user._id });
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
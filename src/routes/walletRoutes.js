@@ -0,0 +1,126 @@
+import express from 'express';
+import { protect, adminProtect, requirePermission } from '../middleware/auth.js';
+import {
+  getMyWallet,
+  getMyTransactions,
+  getUserWallet,
+  adjustUserWallet,
+} from '../controllers/walletController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: Get my wallet balance
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ */
+router.get('/', protect, getMyWallet);
+
+/**
+ * @swagger
+ * /api/wallet/transactions:
+ *   get:
+ *     summary: Get my wallet transactions, newest first
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ */
+router.get('/transactions', protect, getMyTransactions);
+
+/**
+ * @swagger
+ * /api/wallet/users/{userId}:
+ *   get:
+ *     summary: Get a customer's wallet and transactions (Admin only)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', adminProtect, requirePermission('payments:read'), getUserWallet);
+
+/**
+ * @swagger
+ * /api/wallet/users/{userId}/adjust:
+ *   post:
+ *     summary: Manually credit or debit a customer's wallet (Admin only)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [credit, debit]
+ *               amount:
+ *                 type: number
+ *               source:
+ *                 type: string
+ *                 enum: [promotion, referral, adjustment]
+ *                 default: adjustment
+ *                 description: Credits only; debits are always adjustments
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wallet adjusted successfully
+ *       400:
+ *         description: Insufficient wallet balance
+ */
+router.post('/users/:userId/adjust', adminProtect, requirePermission('wallet:adjust'), adjustUserWallet);
+
+export default router;
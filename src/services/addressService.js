@@ -0,0 +1,83 @@
+import ApiError from '../utils/ApiError.js';
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'landmark', 'pincode', 'city', 'state', 'location'];
+
+export const MAX_SAVED_ADDRESSES = 10;
+
+export const pickAddressFields = (body) => {
+  const data = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * Single-line form of a structured address, kept on Order.address for
+ * screens that still print the free-text field.
+ */
+export const formatAddress = (address) =>
+  [
+    address.line1,
+    address.line2,
+    address.landmark && `Near ${address.landmark}`,
+    address.city,
+    address.state,
+    address.pincode,
+  ].filter(Boolean).join(', ');
+
+/**
+ * Work out where to pick up an order from.
+ * A saved addressId wins; a free-text address is accepted for older
+ * clients; otherwise the user's default saved address is used.
+ */
+export const resolveDeliveryAddress = (user, { addressId, address, pincode, location }) => {
+  const saved = user.addresses || [];
+
+  if (addressId) {
+    const match = saved.find((a) => a._id.toString() === String(addressId));
+
+    if (!match) {
+      throw new ApiError(404, 'Address not found');
+    }
+
+    return toSnapshot(match);
+  }
+
+  if (address) {
+    return { address, pincode, location, snapshot: undefined };
+  }
+
+  const fallback = saved.find((a) => a.isDefault) || saved[0];
+
+  if (fallback) {
+    return toSnapshot(fallback);
+  }
+
+  if (user.address) {
+    return { address: user.address, pincode, location, snapshot: undefined };
+  }
+
+  throw new ApiError(400, 'Please provide a pickup address');
+};
+
+const toSnapshot = (saved) => {
+  const snapshot = {
+    addressId: saved._id,
+    label: saved.label,
+    line1: saved.line1,
+    line2: saved.line2,
+    landmark: saved.landmark,
+    pincode: saved.pincode,
+    city: saved.city,
+    state: saved.state,
+    location: saved.location,
+  };
+
+  return {
+    address: formatAddress(snapshot),
+    pincode: snapshot.pincode,
+    location: snapshot.location,
+    snapshot,
+  };
+};
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import Admin from '../models/Admin.js';
+import AdminInvite from '../models/AdminInvite.js';
+import Setting from '../models/Setting.js';
+import ApiError from '../utils/ApiError.js';
+import { SUPER_ADMIN_ROLE } from '../utils/permissions.js';
+import { getRole, assertCanActOnRole } from './roleService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { validateAdminPassword, hashAdminPassword } from './adminPasswordService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Claimed once, so two bootstrap requests racing can't both succeed
+const BOOTSTRAP_KEY = 'admin-bootstrap';
+
+const getInviteTtlMs = () =>
+  (parseInt(process.env.ADMIN_INVITE_TTL_HOURS, 10) || 72) * HOUR_MS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normaliseEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const validateEmail = (email) => {
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new ApiError(400, 'Please provide a valid email address');
+  }
+};
+
+export const toAdminSummary = (admin) => ({
+  _id: admin._id,
+  email: admin.email,
+  name: admin.name,
+  role: admin.role,
+  isActive: admin.isActive,
+});
+
+/**
+ * Create the first super-admin. Only works while there are no admins at
+ * all; when ADMIN_BOOTSTRAP_TOKEN is set the caller must also present it.
+ */
+export const bootstrapSuperAdmin = async ({ email, name, password, bootstrapToken }) => {
+  const expectedToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+  if (expectedToken) {
+    const expected = Buffer.from(hashToken(expectedToken), 'hex');
+    const received = Buffer.from(hashToken(String(bootstrapToken || '')), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      throw new ApiError(403, 'Invalid bootstrap token');
+    }
+  }
+
+  const adminEmail = normaliseEmail(email);
+  validateEmail(adminEmail);
+  if (!name) {
+    throw new ApiError(400, 'Name is required');
+  }
+  validateAdminPassword(password, { email: adminEmail, name });
+
+  if (await Admin.exists({})) {
+    throw new ApiError(409, 'An admin already exists; ask a super-admin for an invite, or run npm run promote:admin');
+  }
+
+  try {
+    await Setting.create({ key: BOOTSTRAP_KEY, value: { email: adminEmail, at: new Date() } });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, 'Admin bootstrap has already been used');
+    }
+    throw error;
+  }
+
+  try {
+    return await Admin.create({
+      email: adminEmail,
+      name,
+      password: await hashAdminPassword(password),
+      passwordChangedAt: new Date(),
+      role: SUPER_ADMIN_ROLE,
+      isActive: true,
+    });
+  } catch (error) {
+    await Setting.deleteOne({ key: BOOTSTRAP_KEY });
+    throw error;
+  }
+};
+
+/**
+ * Make an existing admin a super-admin. Installs that had admins before
+ * roles existed have nobody who can invite or manage roles; this is run
+ * from the command line (npm run promote:admin) to fix that.
+ */
+export const promoteToSuperAdmin = async (email) => {
+  const adminEmail = normaliseEmail(email);
+  validateEmail(adminEmail);
+
+  const admin = await Admin.findOneAndUpdate(
+    { email: adminEmail },
+    { role: SUPER_ADMIN_ROLE, isActive: true },
+    { new: true }
+  );
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  return admin;
+};
+
+/**
+ * Invite someone to become an admin with the given role. Earlier pending
+ * invites for the same email stop working. Returns the invite and the
+ * plain token, which is not stored.
+ */
+export const createInvite = async ({ email, name, role = 'admin' }, actingAdmin) => {
+  const inviteEmail = normaliseEmail(email);
+  validateEmail(inviteEmail);
+
+  if (!await getRole(role)) {
+    throw new ApiError(400, 'Role not found');
+  }
+  assertCanActOnRole(actingAdmin, role);
+  if (await Admin.exists({ email: inviteEmail })) {
+    throw new ApiError(409, 'An admin with this email already exists');
+  }
+
+  await AdminInvite.updateMany(
+    { email: inviteEmail, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invite = await AdminInvite.create({
+    email: inviteEmail,
+    name,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: actingAdmin._id,
+    expiresAt: new Date(Date.now() + getInviteTtlMs()),
+  });
+
+  return { invite, token };
+};
+
+export const revokeInvite = async (inviteId, actingAdmin) => {
+  const pending = await AdminInvite.findOne({ _id: inviteId, acceptedAt: null, revokedAt: null });
+  if (pending) {
+    assertCanActOnRole(actingAdmin, pending.role);
+  }
+
+  const invite = await AdminInvite.findOneAndUpdate(
+    { _id: inviteId, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new ApiError(404, 'No pending invite found');
+  }
+
+  return invite;
+};
+
+/**
+ * Turn an invite into an admin account with the invitee's own password.
+ */
+export const acceptInvite = async ({ token, name, password }) => {
+  if (!token || typeof token !== 'string') {
+    throw new ApiError(400, 'Invite token is required');
+  }
+
+  // Claim the invite first so it can only be used once
+  const invite = await AdminInvite.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new ApiError(400, 'This invite is invalid or has expired');
+  }
+
+  try {
+    if (!await getRole(invite.role)) {
+      throw new ApiError(400, 'The role on this invite no longer exists; ask for a new invite');
+    }
+
+    const adminName = name || invite.name;
+    validateAdminPassword(password, { email: invite.email, name: adminName });
+
+    const admin = await Admin.create({
+      email: invite.email,
+      name: adminName,
+      password: await hashAdminPassword(password),
+      passwordChangedAt: new Date(),
+      role: invite.role,
+      isActive: true,
+    });
+
+    invite.acceptedAdminId = admin._id;
+    await invite.save();
+
+    return admin;
+  } catch (error) {
+    await AdminInvite.updateOne({ _id: invite._id }, { $unset: { acceptedAt: 1 } });
+
+    if (error.code === 11000) {
+      throw new ApiError(409, 'An admin with this email already exists');
+    }
+    if (error.name === 'ValidationError') {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Switch an admin account off or back on. Deactivating signs the admin
+ * out everywhere; nobody can deactivate themselves or the last super-admin.
+ */
+export const setAdminActive = async (adminId, isActive, actingAdmin) => {
+  const admin = await Admin.findById(adminId);
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  assertCanActOnRole(actingAdmin, admin.role);
+
+  if (!isActive) {
+    if (admin._id.equals(actingAdmin._id)) {
+      throw new ApiError(400, 'You cannot deactivate your own account');
+    }
+
+    if (admin.role === SUPER_ADMIN_ROLE) {
+      const otherSuperAdmins = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: SUPER_ADMIN_ROLE,
+        isActive: true,
+      });
+      if (otherSuperAdmins === 0) {
+        throw new ApiError(400, 'Cannot deactivate the last active super-admin');
+      }
+    }
+  }
+
+  admin.isActive = isActive;
+  await admin.save();
+
+  if (!isActive) {
+    await revokeAllSessions('admin', admin._id, 'deactivated');
+  }
+
+  return admin;
+};
@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import Admin from '../models/Admin.js';
+import AdminPasswordReset from '../models/AdminPasswordReset.js';
+import ApiError from '../utils/ApiError.js';
+import { hitRateLimit } from './rateLimitService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { sendMail } from './mailService.js';
+import { assertCanActOnRole } from './roleService.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const PASSWORD_POLICY = {
+  minLength: 10,
+  // bcrypt ignores everything after 72 bytes
+  maxBytes: 72,
+  // Out of lowercase letters, uppercase letters, numbers and symbols
+  minCharacterClasses: 3,
+  // Recent passwords, including the current one, that can't be reused
+  historySize: 5,
+};
+
+export const ADMIN_LOGIN_LIMITS = {
+  // Wrong passwords in a row before the account is locked
+  maxFailedAttempts: 5,
+  lockoutMs: 15 * MINUTE_MS,
+};
+
+const RESET_LIMITS = {
+  ttlMs: 30 * MINUTE_MS,
+  // A forced reset may sit in the inbox a while before it is seen
+  forcedTtlMs: 24 * HOUR_MS,
+  requestsPerAdmin: { limit: 3, windowMs: HOUR_MS },
+  requestsPerIp: { limit: 10, windowMs: HOUR_MS },
+};
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normaliseEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const tooManyRequests = (message, retryAfterSeconds) => {
+  const error = new ApiError(429, message);
+  error.retryAfter = Math.max(retryAfterSeconds, 1);
+  return error;
+};
+
+/**
+ * Check a new admin password against the policy. `email` and `name` are
+ * the account's own, which the password must not contain.
+ */
+export const validateAdminPassword = (password, { email, name } = {}) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+    throw new ApiError(400, `Password must be at least ${PASSWORD_POLICY.minLength} characters`);
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_POLICY.maxBytes) {
+    throw new ApiError(400, `Password must be at most ${PASSWORD_POLICY.maxBytes} bytes`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < PASSWORD_POLICY.minCharacterClasses) {
+    throw new ApiError(
+      400,
+      `Password must use at least ${PASSWORD_POLICY.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols`
+    );
+  }
+
+  const personal = [normaliseEmail(email).split('@')[0], ...(name ? name.split(/\s+/) : [])]
+    .filter((part) => part.length >= 3)
+    .map((part) => part.toLowerCase());
+  if (personal.some((part) => password.toLowerCase().includes(part))) {
+    throw new ApiError(400, 'Password must not contain your name or email');
+  }
+};
+
+export const hashAdminPassword = (password) => bcrypt.hash(password, 10);
+
+/**
+ * Give an admin a new password after checking the policy and history.
+ * Also clears any login lockout and a pending forced reset.
+ */
+export const setAdminPassword = async (adminId, password) => {
+  const admin = await Admin.findById(adminId).select('+passwordHistory');
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  validateAdminPassword(password, admin);
+
+  const recentHashes = [admin.password, ...(admin.passwordHistory || [])]
+    .slice(0, PASSWORD_POLICY.historySize);
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      throw new ApiError(400, `Password must differ from your last ${PASSWORD_POLICY.historySize} passwords`);
+    }
+  }
+
+  admin.password = await hashAdminPassword(password);
+  admin.passwordHistory = recentHashes.slice(0, PASSWORD_POLICY.historySize - 1);
+  admin.passwordChangedAt = new Date();
+  admin.mustChangePassword = false;
+  admin.failedLoginAttempts = 0;
+  admin.lockedUntil = undefined;
+  await admin.save();
+
+  return admin;
+};
+
+/**
+ * Change your own password. Every other session is signed out.
+ */
+export const changeAdminPassword = async (adminId, { currentPassword, newPassword, sessionId }) => {
+  const admin = await Admin.findById(adminId);
+
+  if (!admin || !await bcrypt.compare(currentPassword, admin.password)) {
+    throw new ApiError(401, 'Current password is incorrect');
+  }
+
+  await setAdminPassword(adminId, newPassword);
+  await revokeAllSessions('admin', adminId, 'password-changed', { except: sessionId });
+};
+
+export const assertLoginAllowed = (admin) => {
+  const remainingMs = admin.lockedUntil ? admin.lockedUntil - Date.now() : 0;
+
+  if (remainingMs > 0) {
+    const seconds = Math.ceil(remainingMs / 1000);
+    throw tooManyRequests(
+      `Too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minutes or reset your password`,
+      seconds
+    );
+  }
+};
+
+/**
+ * Count a wrong password. The attempt that reaches the limit locks the
+ * account and throws a 429.
+ */
+export const recordFailedLogin = async (admin) => {
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < ADMIN_LOGIN_LIMITS.maxFailedAttempts) {
+    return;
+  }
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + ADMIN_LOGIN_LIMITS.lockoutMs) }
+  );
+
+  const seconds = ADMIN_LOGIN_LIMITS.lockoutMs / 1000;
+  throw tooManyRequests(
+    `Too many failed login attempts. Try again in ${seconds / 60} minutes or reset your password`,
+    seconds
+  );
+};
+
+export const recordSuccessfulLogin = async (admin) => {
+  if (admin.failedLoginAttempts || admin.lockedUntil) {
+    await Admin.updateOne(
+      { _id: admin._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }
+    );
+  }
+};
+
+// Only the newest link works; earlier unused ones are dropped
+const issueResetToken = async (admin, { ttlMs, initiatedBy, ip }) => {
+  await AdminPasswordReset.deleteMany({ adminId: admin._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AdminPasswordReset.create({
+    adminId: admin._id,
+    tokenHash: hashToken(token),
+    initiatedBy,
+    requestIp: ip,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+const sendResetEmail = (admin, template, token, ttlMs) => {
+  const appUrl = process.env.ADMIN_APP_URL;
+
+  return sendMail({
+    to: admin.email,
+    template,
+    params: {
+      name: admin.name,
+      token,
+      resetUrl: appUrl ? `${appUrl.replace(/\/$/, '')}/reset-password?token=${token}` : undefined,
+      expiresInMinutes: ttlMs / MINUTE_MS,
+    },
+  });
+};
+
+/**
+ * "Forgot password": email a reset link if the address belongs to an
+ * active admin. Says nothing either way, so it can't be used to find
+ * admin accounts.
+ */
+export const requestPasswordReset = async (email, { ip } = {}) => {
+  const { allowed, retryAfter } = await hitRateLimit(`admin-reset-ip:${ip}`, RESET_LIMITS.requestsPerIp);
+  if (!allowed) {
+    throw tooManyRequests('Too many password reset requests. Please try again later', retryAfter);
+  }
+
+  const admin = await Admin.findOne({ email: normaliseEmail(email), isActive: true });
+  if (!admin) {
+    return;
+  }
+
+  // Capped silently for the same reason
+  const perAdmin = await hitRateLimit(`admin-reset:${admin._id}`, RESET_LIMITS.requestsPerAdmin);
+  if (!perAdmin.allowed) {
+    return;
+  }
+
+  const token = await issueResetToken(admin, { ttlMs: RESET_LIMITS.ttlMs, ip });
+  try {
+    await sendResetEmail(admin, 'admin-password-reset', token, RESET_LIMITS.ttlMs);
+  } catch (error) {
+    // Already logged; surfacing it would reveal that the account exists
+  }
+};
+
+/**
+ * Set a new password with a reset token. The token works once, and the
+ * admin is signed out everywhere.
+ */
+export const resetPasswordWithToken = async (token, password) => {
+  if (!token || typeof token !== 'string') {
+    throw new ApiError(400, 'Reset token is required');
+  }
+
+  // Claim the token first so it can only be used once
+  const reset = await AdminPasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!reset) {
+    throw new ApiError(400, 'This reset link is invalid or has expired');
+  }
+
+  let admin;
+  try {
+    if (!await Admin.exists({ _id: reset.adminId, isActive: true })) {
+      throw new ApiError(400, 'This reset link is invalid or has expired');
+    }
+
+    admin = await setAdminPassword(reset.adminId, password);
+  } catch (error) {
+    // Give the link back so a rejected password can be retried
+    await AdminPasswordReset.updateOne({ _id: reset._id }, { $unset: { usedAt: 1 } });
+    throw error;
+  }
+
+  await revokeAllSessions('admin', admin._id, 'password-reset');
+
+  return admin;
+};
+
+/**
+ * Super-admin reset: the current password stops working, the admin is
+ * signed out and emailed a link to choose a new one.
+ */
+export const forcePasswordReset = async (adminId, actingAdmin) => {
+  const admin = await Admin.findById(adminId);
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+  if (admin._id.equals(actingAdmin._id)) {
+    throw new ApiError(400, 'Use change password for your own account');
+  }
+  assertCanActOnRole(actingAdmin, admin.role);
+  if (!admin.isActive) {
+    throw new ApiError(400, 'Reactivate the admin before resetting their password');
+  }
+
+  admin.mustChangePassword = true;
+  admin.failedLoginAttempts = 0;
+  admin.lockedUntil = undefined;
+  await admin.save();
+
+  await revokeAllSessions('admin', admin._id, 'password-reset-required');
+
+  const token = await issueResetToken(admin, {
+    ttlMs: RESET_LIMITS.forcedTtlMs,
+    initiatedBy: actingAdmin._id,
+  });
+
+  let emailSent = true;
+  try {
+    await sendResetEmail(admin, 'admin-password-reset-required', token, RESET_LIMITS.forcedTtlMs);
+  } catch (error) {
+    emailSent = false;
+  }
+
+  return { admin, emailSent };
+};
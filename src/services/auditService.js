@@ -0,0 +1,312 @@
+import { once } from 'events';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import Admin from '../models/Admin.js';
+import AdminInvite from '../models/AdminInvite.js';
+import BlackoutDate from '../models/BlackoutDate.js';
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import PickupSlot from '../models/PickupSlot.js';
+import Refund from '../models/Refund.js';
+import Rider from '../models/Rider.js';
+import Role from '../models/Role.js';
+import Service from '../models/Service.js';
+import ServiceArea from '../models/ServiceArea.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import ApiError from '../utils/ApiError.js';
+import { CANCELLATION_POLICY_KEY } from './refundService.js';
+import { TWO_FACTOR_POLICY_KEY } from './twoFactorService.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_EXPORT_ROWS = 50000;
+
+// Masked wherever they appear in a snapshot or request body
+const REDACTED_FIELDS = new Set([
+  'password',
+  'currentPassword',
+  'newPassword',
+  'passwordHistory',
+  'recoveryCode',
+  'recoveryCodes',
+  'secret',
+  'pendingSecret',
+  'token',
+  'challengeToken',
+  'refreshToken',
+  'bootstrapToken',
+  'tokenHash',
+  'previousTokenHash',
+  'otp',
+  'otpExpiry',
+  // Customers' delivery handover codes, sent with PATCH /api/orders/:id/status
+  'handoverCode',
+  'accessToken',
+]);
+// Masked only at these dotted paths, where the bare key is too common to
+// mask everywhere (a coupon's code is no secret)
+const REDACTED_PATHS = new Set([
+  'handover.code',
+]);
+const REDACTED = '[redacted]';
+
+// Change on every save, so they'd show up in every diff
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+const setting = (key) => ({
+  type: 'setting',
+  model: Setting,
+  id: () => key,
+  query: (id) => ({ key: id }),
+});
+
+/**
+ * What each admin route changes, matched in order against the mount path
+ * plus route path. `id` defaults to req.params.id; creates without one
+ * take the id of the document in the response. Routes not listed are
+ * still logged, just without a target or diff.
+ */
+const AUDIT_TARGETS = [
+  [/^\/api\/admin\/admins\/invites/, { type: 'admin-invite', model: AdminInvite }],
+  [/^\/api\/admin\/admins\//, { type: 'admin', model: Admin }],
+  // `code` in these bodies is the admin's current authenticator code
+  [/^\/api\/admin\/2fa\//, { type: 'admin', model: Admin, id: (req) => req.admin._id, secrets: ['code'] }],
+  [/^\/api\/admin\/(profile|change-password)/, { type: 'admin', model: Admin, id: (req) => req.admin._id }],
+  [/^\/api\/admin\/2fa-policy/, setting(TWO_FACTOR_POLICY_KEY)],
+  [/^\/api\/admin\/cancellation-policy/, setting(CANCELLATION_POLICY_KEY)],
+  [/^\/api\/admin\/roles/, {
+    type: 'role',
+    model: Role,
+    id: (req) => req.params.name || req.body.name,
+    query: (name) => ({ name }),
+  }],
+  [/^\/api\/admin\/users\//, { type: 'user', model: User }],
+  [/^\/api\/admin\/dispatch/, { type: 'order', model: Order, id: (req) => req.body.orderId }],
+  [/^\/api\/user\//, { type: 'user', model: User }],
+  [/^\/api\/sms\/user\//, { type: 'user', id: (req) => req.params.userId }],
+  [/^\/api\/wallet\/users\//, {
+    type: 'wallet',
+    model: Wallet,
+    id: (req) => req.params.userId,
+    query: (userId) => (mongoose.isValidObjectId(userId) ? { userId } : null),
+  }],
+  [/^\/api\/orders\//, { type: 'order', model: Order }],
+  [/^\/api\/bookings\//, { type: 'order', model: Order, id: (req) => req.params.orderId }],
+  [/^\/api\/services/, { type: 'service', model: Service }],
+  [/^\/api\/coupons/, { type: 'coupon', model: Coupon }],
+  [/^\/api\/service-areas/, { type: 'service-area', model: ServiceArea }],
+  [/^\/api\/slots\/blackouts/, { type: 'blackout-date', model: BlackoutDate }],
+  [/^\/api\/slots/, { type: 'pickup-slot', model: PickupSlot }],
+  [/^\/api\/riders/, { type: 'rider', model: Rider }],
+  [/^\/api\/payments/, { type: 'payment', model: Payment }],
+  [/^\/api\/refunds/, { type: 'refund', model: Refund }],
+  [/^\/api\/auth\/admin\/sessions/, { type: 'session', model: Session, id: (req) => req.params.sessionId }],
+];
+
+// Plain JSON (ids and dates as strings) with secrets masked. `secrets`
+// adds paths to mask for this value only.
+const sanitize = (value, secrets = []) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const isSecret = (key, path) =>
+    REDACTED_FIELDS.has(key) || REDACTED_PATHS.has(path) || secrets.includes(path);
+
+  // Array indices are left out of paths, so handover.code matches in lists too
+  const mask = (node, prefix) => {
+    if (Array.isArray(node)) {
+      return node.map((child) => mask(child, prefix));
+    }
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return [key, isSecret(key, path) ? REDACTED : mask(child, path)];
+      }));
+    }
+    return node;
+  };
+
+  return mask(JSON.parse(JSON.stringify(value)), '');
+};
+
+const loadSnapshot = async (target, id) => {
+  if (!target.model || !id) {
+    return undefined;
+  }
+
+  const filter = target.query
+    ? target.query(id)
+    : (mongoose.isValidObjectId(id) ? { _id: id } : null);
+  if (!filter) {
+    return undefined;
+  }
+
+  return sanitize(await target.model.findOne(filter).lean());
+};
+
+const diff = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+
+// Creates answer with the new document under some key, e.g. { success, service }
+const createdId = (body) =>
+  Object.values(body || {}).find((value) => value?._id)?._id?.toString();
+
+/**
+ * Audit a request from an authenticated admin. For mutating requests the
+ * target is snapshotted now, and an AuditLog entry with the diff is
+ * written exactly once when the response closes - including refused and
+ * failed requests, and ones the client hung up on before the response
+ * finished (recorded as aborted, with no status). Never throws; auditing
+ * must not break the request.
+ */
+export const auditAdminRequest = async (req, res) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return;
+  }
+
+  try {
+    const route = `${req.baseUrl}${req.route?.path ?? req.path}`;
+    const target = AUDIT_TARGETS.find(([pattern]) => pattern.test(route))?.[1] || {};
+    const targetId = (target.id ? target.id(req) : req.params.id)?.toString();
+    const before = await loadSnapshot(target, targetId);
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // 'close' fires for finished and abandoned responses alike
+    res.once('close', async () => {
+      try {
+        const aborted = !res.writableFinished;
+        const succeeded = aborted || res.statusCode < 400;
+        const id = targetId || (succeeded ? createdId(responseBody) : undefined);
+        const after = succeeded ? await loadSnapshot(target, id) : before;
+
+        await AuditLog.create({
+          actor: {
+            id: req.admin._id,
+            email: req.admin.email,
+            name: req.admin.name,
+            role: req.admin.role,
+          },
+          action: `${req.method} ${route}`,
+          method: req.method,
+          url: req.originalUrl,
+          target: target.type ? { type: target.type, id } : undefined,
+          changes: diff(before, after),
+          requestBody: sanitize(req.body, target.secrets),
+          statusCode: aborted ? undefined : res.statusCode,
+          aborted,
+          ip: req.ip,
+          userAgent: req.headers['user-agent']?.slice(0, 300),
+        });
+      } catch (error) {
+        console.error('Failed to write audit log', req.method, req.originalUrl, error.message);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to start audit log', req.method, req.originalUrl, error.message);
+  }
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Build a query from the audit log filters: actorId, action, method,
+ * targetType, targetId, outcome (success | failed | aborted) and a
+ * from/to range.
+ */
+export const buildAuditFilter = ({ actorId, action, method, targetType, targetId, outcome, from, to }) => {
+  const filter = {};
+
+  if (actorId) {
+    if (!mongoose.isValidObjectId(actorId)) {
+      throw new ApiError(400, 'actorId must be a valid id');
+    }
+    filter['actor.id'] = actorId;
+  }
+  if (action) filter.action = action;
+  if (method) filter.method = method.toUpperCase();
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+
+  if (outcome === 'success') {
+    filter.statusCode = { $lt: 400 };
+  } else if (outcome === 'failed') {
+    filter.statusCode = { $gte: 400 };
+  } else if (outcome === 'aborted') {
+    filter.aborted = true;
+  } else if (outcome) {
+    throw new ApiError(400, 'outcome must be success, failed or aborted');
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, 'from');
+    if (to) filter.createdAt.$lte = parseDate(to, 'to');
+  }
+
+  return filter;
+};
+
+const CSV_COLUMNS = [
+  ['createdAt', (log) => log.createdAt?.toISOString()],
+  ['actorId', (log) => log.actor?.id],
+  ['actorEmail', (log) => log.actor?.email],
+  ['actorRole', (log) => log.actor?.role],
+  ['action', (log) => log.action],
+  ['targetType', (log) => log.target?.type],
+  ['targetId', (log) => log.target?.id],
+  ['statusCode', (log) => log.statusCode],
+  ['aborted', (log) => (log.aborted ? 'yes' : '')],
+  ['ip', (log) => log.ip],
+  ['userAgent', (log) => log.userAgent],
+  ['changes', (log) => (log.changes?.length ? JSON.stringify(log.changes) : '')],
+  ['requestBody', (log) => (log.requestBody ? JSON.stringify(log.requestBody) : '')],
+];
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Stop spreadsheets treating user-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream matching entries, newest first, as CSV to a writable stream.
+ * Capped at MAX_EXPORT_ROWS; narrow the date range for more.
+ */
+export const writeAuditCsv = async (filter, stream) => {
+  stream.write(`${CSV_COLUMNS.map(([name]) => name).join(',')}\n`);
+
+  const cursor = AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean()
+    .cursor();
+
+  for await (const log of cursor) {
+    const row = `${CSV_COLUMNS.map(([, read]) => csvCell(read(log))).join(',')}\n`;
+    if (!stream.write(row)) {
+      await once(stream, 'drain');
+    }
+  }
+};
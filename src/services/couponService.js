@@ -0,0 +1,178 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+import { roundMoney } from '../utils/orderPricing.js';
+
+const FIRST_ORDER_ONLY = 'This coupon is only valid on your first order';
+
+const hasOtherOrders = (userId) =>
+  Order.exists({ userId, status: { $ne: 'cancelled' } });
+
+const computeDiscount = (coupon, eligibleSubtotal) => {
+  if (coupon.discountType === 'percentage') {
+    const discount = (eligibleSubtotal * coupon.discountValue) / 100;
+    return roundMoney(coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount);
+  }
+
+  return roundMoney(Math.min(coupon.discountValue, eligibleSubtotal));
+};
+
+// Spread the discount over eligible lines in proportion to their value
+const allocateDiscount = (eligibleLines, discount) => {
+  const eligibleSubtotal = eligibleLines.reduce((sum, item) => sum + item.lineTotal, 0);
+  let remaining = discount;
+
+  eligibleLines.forEach((item, index) => {
+    const share = index === eligibleLines.length - 1
+      ? remaining
+      : roundMoney((discount * item.lineTotal) / eligibleSubtotal);
+    item.discount = share;
+    remaining = roundMoney(remaining - share);
+  });
+};
+
+/**
+ * Check a coupon code against the user and priced line items.
+ * On success the discount is written onto the eligible line items
+ * and the coupon with the total discount is returned. Nothing is
+ * reserved here; see redeemCoupon.
+ */
+export const applyCoupon = async ({ code, user, lineItems }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new ApiError(400, 'Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new ApiError(400, 'This coupon is not active yet');
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw new ApiError(400, 'This coupon has expired');
+  }
+
+  if (coupon.usageLimit !== undefined && coupon.usageLimit !== null
+    && coupon.usedCount >= coupon.usageLimit) {
+    throw new ApiError(400, 'This coupon has reached its usage limit');
+  }
+
+  if (coupon.firstOrderOnly && await hasOtherOrders(user._id)) {
+    throw new ApiError(400, FIRST_ORDER_ONLY);
+  }
+
+  const timesUsed = await CouponRedemption.countDocuments({
+    couponId: coupon._id,
+    userId: user._id,
+  });
+  if (timesUsed >= coupon.perUserLimit) {
+    throw new ApiError(400, 'You have already used this coupon');
+  }
+
+  const applicable = new Set(coupon.applicableServices.map((id) => id.toString()));
+  const eligibleLines = applicable.size === 0
+    ? lineItems
+    : lineItems.filter((item) => applicable.has(item.serviceId.toString()));
+
+  if (eligibleLines.length === 0) {
+    throw new ApiError(400, 'This coupon does not apply to the selected services');
+  }
+
+  const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, item) => sum + item.lineTotal, 0));
+  if (eligibleSubtotal < coupon.minOrderValue) {
+    throw new ApiError(400, `Add items worth ₹${coupon.minOrderValue} to use this coupon`);
+  }
+
+  const discount = computeDiscount(coupon, eligibleSubtotal);
+  allocateDiscount(eligibleLines, discount);
+
+  return { coupon, discount };
+};
+
+/**
+ * Count one use against the coupon's global limit. The limit check and
+ * increment are a single update so concurrent orders can't overshoot it.
+ */
+export const redeemCoupon = async (coupon) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!redeemed) {
+    throw new ApiError(409, 'This coupon has reached its usage limit');
+  }
+
+  return redeemed;
+};
+
+/**
+ * Record the user's use of the coupon, enforcing perUserLimit at write
+ * time: each use takes the lowest free slot 1..perUserLimit under a
+ * unique index, and losing a race for a slot means trying the next one.
+ * First-order-only coupons also take the user's single first-order claim.
+ */
+export const recordRedemption = async ({ coupon, user, order, discount }) => {
+  // Checked again here; the read in applyCoupon may be stale by now
+  if (coupon.firstOrderOnly && await hasOtherOrders(user._id)) {
+    throw new ApiError(409, FIRST_ORDER_ONLY);
+  }
+
+  for (;;) {
+    const used = await CouponRedemption.find({ couponId: coupon._id, userId: user._id }).select('seq');
+    const taken = new Set(used.map((redemption) => redemption.seq));
+
+    let seq = 1;
+    while (taken.has(seq)) seq += 1;
+
+    if (used.length >= coupon.perUserLimit || seq > coupon.perUserLimit) {
+      throw new ApiError(409, 'You have already used this coupon');
+    }
+
+    try {
+      return await CouponRedemption.create({
+        couponId: coupon._id,
+        userId: user._id,
+        orderId: order._id,
+        discount,
+        seq,
+        firstOrder: coupon.firstOrderOnly || undefined,
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.firstOrder) {
+        throw new ApiError(409, FIRST_ORDER_ONLY);
+      }
+      if (error.code !== 11000 || !error.keyPattern?.seq) throw error;
+    }
+  }
+};
+
+/**
+ * Give a coupon use back, e.g. when the order is cancelled.
+ */
+export const releaseCoupon = async (order) => {
+  const couponId = order.coupon?.couponId;
+
+  if (!couponId) {
+    return;
+  }
+
+  if (order._id) {
+    await CouponRedemption.deleteOne({ orderId: order._id });
+  }
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+import { PHOTO_TYPES } from '../middleware/upload.js';
+import { getStorage } from './storage/index.js';
+
+export const MAX_HANDOVER_ATTEMPTS = 5;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest();
+
+/**
+ * Give the order a 4 digit handover code when it leaves for delivery.
+ * An order sent out again after a missed delivery keeps its code.
+ */
+export const ensureHandoverCode = (order) => {
+  if (order.handover?.generatedAt) {
+    return;
+  }
+
+  order.handover = {
+    code: crypto.randomInt(0, 10000).toString().padStart(4, '0'),
+    generatedAt: new Date(),
+    attempts: 0,
+  };
+};
+
+const verifyHandoverCode = async (order, handoverCode) => {
+  // Claim an attempt atomically so parallel guesses can't exceed the limit
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'handover.code': { $exists: true },
+      'handover.attempts': { $lt: MAX_HANDOVER_ATTEMPTS },
+    },
+    { $inc: { 'handover.attempts': 1 } },
+    { new: true }
+  ).select('+handover.code');
+
+  if (!claimed) {
+    const stored = await Order.findById(order._id).select('+handover.code');
+    if (!stored?.handover?.code) {
+      throw new ApiError(409, 'This order has no handover code yet');
+    }
+    throw new ApiError(429, 'Too many wrong handover codes; ask the store to confirm this delivery');
+  }
+
+  if (!crypto.timingSafeEqual(hashCode(claimed.handover.code), hashCode(handoverCode))) {
+    throw new ApiError(400, 'Handover code is incorrect');
+  }
+
+  // Only wrong guesses count towards the limit
+  await Order.updateOne({ _id: order._id }, { $inc: { 'handover.attempts': -1 } });
+  order.handover.verifiedAt = new Date();
+};
+
+/**
+ * Check the proof for a delivery and record it on the order. Riders must
+ * give the customer's handover code; admins allowed to override it
+ * (`canOverride`) may instead give a reason. An optional doorstep photo
+ * goes to file storage. The caller saves the order.
+ */
+export const applyDeliveryProof = async (order, proof = {}, { actorType, actorId, canOverride = false }) => {
+  const { handoverCode, recipientName, photo } = proof;
+  const overrideReason = typeof proof.overrideReason === 'string' ? proof.overrideReason.trim() : '';
+
+  if (handoverCode) {
+    await verifyHandoverCode(order, handoverCode);
+  } else if (actorType === 'admin' && overrideReason) {
+    if (!canOverride) {
+      throw new ApiError(403, 'Marking delivered without the handover code requires the orders:override-delivery permission');
+    }
+  } else {
+    throw new ApiError(400, actorType === 'admin'
+      ? 'Provide the customer\'s handover code or an overrideReason'
+      : 'Provide the customer\'s handover code');
+  }
+
+  let storedPhoto;
+  if (photo) {
+    const storage = getStorage();
+    const { key } = await storage.save({
+      buffer: photo.buffer,
+      folder: `proof-of-delivery/${order._id}`,
+      extension: PHOTO_TYPES[photo.mimetype],
+    });
+    storedPhoto = { storage: storage.name, key, contentType: photo.mimetype };
+  }
+
+  order.proofOfDelivery = {
+    method: handoverCode ? 'otp' : 'override',
+    recipientName,
+    photo: storedPhoto,
+    overrideReason: handoverCode ? undefined : overrideReason,
+    capturedBy: { type: actorType, id: actorId },
+    deliveredAt: new Date(),
+  };
+};
+
+/**
+ * Throw away a proof photo that was stored for a delivery that then failed.
+ */
+export const discardDeliveryPhoto = async (order) => {
+  const photo = order.proofOfDelivery?.photo;
+
+  if (photo?.key) {
+    await getStorage(photo.storage).remove(photo.key);
+  }
+  order.proofOfDelivery = undefined;
+};
+
+/**
+ * Open the stored proof photo for streaming back to a client.
+ */
+export const openDeliveryPhoto = async (order) => {
+  const photo = order.proofOfDelivery?.photo;
+  const storage = photo?.key ? getStorage(photo.storage) : null;
+
+  if (!storage || !(await storage.exists(photo.key))) {
+    throw new ApiError(404, 'No delivery photo for this order');
+  }
+
+  return {
+    contentType: photo.contentType,
+    stream: storage.createReadStream(photo.key),
+  };
+};
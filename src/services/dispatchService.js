@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Rider from '../models/Rider.js';
+import PickupSlot from '../models/PickupSlot.js';
+import ApiError from '../utils/ApiError.js';
+import { recordOrderEvent } from '../utils/orderStatus.js';
+import { publishOrderEvent } from './realtime.js';
+import { toSlotDate, localToday, formatSlotLabel } from './slotService.js';
+import { RIDER_TASK_TYPES } from './riderTaskService.js';
+
+// Order statuses each kind of task can be assigned or moved in
+const ASSIGNABLE_STATUSES = {
+  pickup: ['pending'],
+  delivery: ['picked', 'in-process', 'ready', 'out-for-delivery'],
+};
+
+// Deliveries moved off an absent rider; out-for-delivery ones are already on the road
+const REASSIGNABLE_DELIVERY_STATUSES = ['picked', 'in-process', 'ready'];
+
+const TASK_LABELS = {
+  pickup: 'Pickup',
+  delivery: 'Delivery',
+};
+
+const validateTaskType = (type) => {
+  if (!RIDER_TASK_TYPES.includes(type)) {
+    throw new ApiError(400, `Task type must be one of: ${RIDER_TASK_TYPES.join(', ')}`);
+  }
+};
+
+const findActiveRider = async (riderId) => {
+  const rider = mongoose.Types.ObjectId.isValid(riderId) ? await Rider.findById(riderId) : null;
+
+  if (!rider) {
+    throw new ApiError(404, 'Rider not found');
+  }
+  if (!rider.isActive) {
+    throw new ApiError(400, `${rider.name} is inactive and cannot be assigned`);
+  }
+
+  return rider;
+};
+
+/**
+ * Give an order's pickup or delivery to a rider, replacing any rider
+ * already on it. The assignment is recorded on the order history.
+ */
+export const assignRider = async (order, type, rider, { adminId }) => {
+  validateTaskType(type);
+
+  if (!ASSIGNABLE_STATUSES[type].includes(order.status)) {
+    throw new ApiError(409, `Cannot assign a ${type} rider while the order is ${order.status}`);
+  }
+  if (type === 'pickup' && order.pickupSlot?.waitlisted) {
+    throw new ApiError(409, 'Order is still on the waitlist for its pickup slot');
+  }
+
+  const current = order[`${type}Task`];
+  if (current?.riderId?.equals(rider._id)) {
+    return order;
+  }
+
+  order[`${type}Task`] = {
+    riderId: rider._id,
+    assignedAt: new Date(),
+    assignedBy: adminId,
+  };
+  recordOrderEvent(order, 'rider-assigned', {
+    actorType: 'admin',
+    actorId: adminId,
+    note: `${TASK_LABELS[type]} ${current?.riderId ? 'reassigned' : 'assigned'} to ${rider.name}`,
+  });
+  await order.save();
+  publishOrderEvent('order.rider-assigned', order, { task: type, rider: { name: rider.name } });
+
+  return order;
+};
+
+export const unassignRider = async (order, type, { adminId }) => {
+  validateTaskType(type);
+
+  const current = order[`${type}Task`];
+  if (!current?.riderId) {
+    throw new ApiError(400, `No ${type} rider is assigned to this order`);
+  }
+  if (current.completedAt || !ASSIGNABLE_STATUSES[type].includes(order.status)) {
+    throw new ApiError(409, `The ${type} can no longer be unassigned`);
+  }
+
+  order[`${type}Task`] = undefined;
+  recordOrderEvent(order, 'rider-unassigned', {
+    actorType: 'admin',
+    actorId: adminId,
+    note: `${TASK_LABELS[type]} rider removed`,
+  });
+  await order.save();
+  publishOrderEvent('order.rider-unassigned', order, { task: type });
+
+  return order;
+};
+
+/**
+ * Assign one rider to many orders. Each order succeeds or fails on its own.
+ */
+export const assignOrders = async ({ orderIds, type, riderId, adminId }) => {
+  validateTaskType(type);
+  const rider = await findActiveRider(riderId);
+
+  const results = [];
+  for (const orderId of orderIds) {
+    try {
+      const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+      if (!order) {
+        throw new ApiError(404, 'Order not found');
+      }
+
+      await assignRider(order, type, rider, { adminId });
+      results.push({ orderId, success: true });
+    } catch (error) {
+      results.push({ orderId, success: false, message: error.message });
+    }
+  }
+
+  return { rider, results };
+};
+
+/**
+ * Move a rider's open pickups for a day and their undelivered orders to
+ * another rider, e.g. when someone calls in sick. Each order moves or
+ * fails on its own; failures are listed so they can be handled by hand.
+ */
+export const reassignRiderTasks = async ({ fromRiderId, toRiderId, date, type, adminId }) => {
+  if (type) validateTaskType(type);
+  if (String(fromRiderId) === String(toRiderId)) {
+    throw new ApiError(400, 'Choose a different rider to hand the tasks to');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(fromRiderId)) {
+    throw new ApiError(404, 'Rider not found');
+  }
+
+  const toRider = await findActiveRider(toRiderId);
+  const day = date ? toSlotDate(date) : localToday();
+  const moved = { pickup: 0, delivery: 0 };
+  const failed = [];
+
+  const queries = {
+    pickup: {
+      'pickupTask.riderId': fromRiderId,
+      pickupDate: day,
+      status: 'pending',
+    },
+    delivery: {
+      'deliveryTask.riderId': fromRiderId,
+      status: { $in: REASSIGNABLE_DELIVERY_STATUSES },
+    },
+  };
+
+  for (const taskType of type ? [type] : RIDER_TASK_TYPES) {
+    const orders = await Order.find(queries[taskType]);
+    for (const order of orders) {
+      try {
+        await assignRider(order, taskType, toRider, { adminId });
+        moved[taskType] += 1;
+      } catch (error) {
+        failed.push({ orderId: order._id, type: taskType, message: error.message });
+      }
+    }
+  }
+
+  return { toRider, moved, failed };
+};
+
+const summariseOrder = (order) => ({
+  _id: order._id,
+  status: order.status,
+  customerName: order.customerName,
+  address: order.address,
+  pincode: order.deliveryAddress?.pincode || order.serviceArea?.pincode,
+  area: order.serviceArea?.name,
+  pickupTime: order.pickupTime,
+  pieces: order.items.reduce((sum, item) => sum + item.quantity, 0),
+});
+
+/**
+ * Everything the dispatcher needs for a day: slot fill and how much is
+ * assigned, each active rider's load per slot, and the work nobody has yet.
+ */
+export const getDispatchBoard = async (date) => {
+  const day = date ? toSlotDate(date) : localToday();
+
+  const [slots, riders, pickups, deliveries] = await Promise.all([
+    PickupSlot.find({ date: day }).sort({ startTime: 1 }),
+    Rider.find({ isActive: true }).sort({ name: 1 }),
+    Order.find({ pickupDate: day, status: { $nin: ['cancelled', 'failed'] } }),
+    Order.find({ status: { $in: ['in-process', 'ready', 'out-for-delivery'] } }),
+  ]);
+
+  const riderLoad = new Map(riders.map((rider) => [rider._id.toString(), {
+    riderId: rider._id,
+    name: rider.name,
+    phoneNumber: rider.phoneNumber,
+    pickups: 0,
+    openPickups: 0,
+    deliveries: 0,
+    slots: {},
+  }]));
+  const slotLoad = new Map();
+
+  pickups.forEach((order) => {
+    const label = order.pickupTime;
+    const slot = slotLoad.get(label) || { assigned: 0, unassigned: 0 };
+    const load = riderLoad.get(order.pickupTask?.riderId?.toString());
+
+    if (load) {
+      load.pickups += 1;
+      if (order.status === 'pending') load.openPickups += 1;
+      load.slots[label] = (load.slots[label] || 0) + 1;
+      slot.assigned += 1;
+    } else if (order.status === 'pending' && !order.pickupSlot?.waitlisted) {
+      slot.unassigned += 1;
+    }
+    slotLoad.set(label, slot);
+  });
+
+  deliveries.forEach((order) => {
+    const load = riderLoad.get(order.deliveryTask?.riderId?.toString());
+    if (load) load.deliveries += 1;
+  });
+
+  return {
+    date: day.toISOString().slice(0, 10),
+    slots: slots.map((slot) => {
+      const label = formatSlotLabel(slot);
+      return {
+        slotId: slot._id,
+        label,
+        capacity: slot.capacity,
+        bookedCount: slot.bookedCount,
+        waitlistCount: slot.waitlistCount,
+        ...(slotLoad.get(label) || { assigned: 0, unassigned: 0 }),
+      };
+    }),
+    riders: [...riderLoad.values()],
+    unassigned: {
+      pickups: pickups
+        .filter((order) => order.status === 'pending' && !order.pickupTask?.riderId
+          && !order.pickupSlot?.waitlisted)
+        .map(summariseOrder),
+      deliveries: deliveries
+        .filter((order) => order.status === 'ready' && !order.deliveryTask?.riderId)
+        .map(summariseOrder),
+    },
+  };
+};
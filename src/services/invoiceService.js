@@ -0,0 +1,186 @@
+import Invoice from '../models/Invoice.js';
+import InvoiceClaim from '../models/InvoiceClaim.js';
+import User from '../models/User.js';
+import ApiError from '../utils/ApiError.js';
+import { roundMoney } from '../utils/orderPricing.js';
+import { getFinancialYear, getStateCode, splitGst } from '../utils/gst.js';
+
+const DEFAULT_SAC_CODE = '9997';
+
+/**
+ * Our registered business details, printed as the supplier on invoices.
+ */
+export const getSellerDetails = () => {
+  const gstin = process.env.COMPANY_GSTIN;
+
+  if (!gstin) {
+    throw new ApiError(500, 'COMPANY_GSTIN is not configured');
+  }
+
+  const state = process.env.COMPANY_STATE || '';
+
+  return {
+    name: process.env.COMPANY_NAME || 'DhobiGo',
+    gstin,
+    address: process.env.COMPANY_ADDRESS || '',
+    state,
+    stateCode: gstin.slice(0, 2),
+  };
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${process.env.INVOICE_PREFIX || 'INV'}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Work out invoice lines and tax for an order. Registered customers are
+ * taxed by the state in their GSTIN, everyone else by the delivery address;
+ * anything outside our state is an inter-state supply charged IGST.
+ */
+export const buildInvoiceData = (order, user, seller) => {
+  const deliveryState = order.deliveryAddress?.state;
+  const placeOfSupply = user?.gstin
+    ? { state: deliveryState || '', stateCode: user.gstin.slice(0, 2) }
+    : { state: deliveryState || seller.state, stateCode: getStateCode(deliveryState) || seller.stateCode };
+  const interState = placeOfSupply.stateCode !== seller.stateCode;
+
+  const lines = order.items.map((item) => {
+    const taxableValue = roundMoney(item.lineTotal - (item.discount || 0));
+    const tax = splitGst(taxableValue, item.taxRate || 0, interState);
+    const addOnNames = item.addOns.map((a) => a.name).join(', ');
+
+    return {
+      description: `${item.serviceName} - ${item.garmentType}${addOnNames ? ` (${addOnNames})` : ''}`,
+      sacCode: item.sacCode || DEFAULT_SAC_CODE,
+      quantity: item.quantity,
+      unitPrice: roundMoney(item.lineTotal / item.quantity),
+      discount: item.discount || 0,
+      taxableValue,
+      taxRate: item.taxRate || 0,
+      ...tax,
+      total: roundMoney(taxableValue + tax.cgst + tax.sgst + tax.igst),
+    };
+  });
+
+  if (order.deliveryFee > 0) {
+    lines.push({
+      description: 'Pickup and delivery charges',
+      sacCode: DEFAULT_SAC_CODE,
+      quantity: 1,
+      unitPrice: order.deliveryFee,
+      discount: 0,
+      taxableValue: order.deliveryFee,
+      taxRate: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      total: order.deliveryFee,
+    });
+  }
+
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  const linesTotal = sum('total');
+
+  return {
+    orderId: order._id,
+    userId: order.userId,
+    seller,
+    buyer: {
+      name: order.customerName || user?.name,
+      businessName: user?.businessName,
+      gstin: user?.gstin,
+      phone: order.customerPhone || user?.phoneNumber,
+      email: user?.email,
+      address: order.address,
+      state: deliveryState,
+      stateCode: placeOfSupply.stateCode,
+    },
+    placeOfSupply,
+    supplyType: interState ? 'inter-state' : 'intra-state',
+    lines,
+    taxableValue: sum('taxableValue'),
+    discount: sum('discount'),
+    cgst,
+    sgst,
+    igst,
+    totalTax: roundMoney(cgst + sgst + igst),
+    roundOff: roundMoney(order.total - linesTotal),
+    grandTotal: order.total,
+    paymentMethod: order.paymentMethod,
+  };
+};
+
+// Highest number used so far in a financial year. Invoices from before
+// claims existed have no claim, so both collections are checked.
+const lastInvoiceSequence = async (financialYear) => {
+  const [claim, invoice] = await Promise.all([
+    InvoiceClaim.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence'),
+    Invoice.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence'),
+  ]);
+  return Math.max(claim?.sequence || 0, invoice?.sequence || 0);
+};
+
+/**
+ * Reserve an invoice number for an order. The claim is a single insert
+ * holding both the order and its number, so a number is never taken
+ * without being recorded and a crash can't leave a gap or a stuck claim.
+ * A later attempt for the same order reuses the claimed number.
+ */
+const claimInvoiceNumber = async (orderId) => {
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+
+  for (;;) {
+    const sequence = (await lastInvoiceSequence(financialYear)) + 1;
+
+    try {
+      return await InvoiceClaim.create({ orderId, financialYear, sequence, issuedAt });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Someone else took this number; try the next one
+      if (error.keyPattern?.sequence) continue;
+
+      const claim = await InvoiceClaim.findOne({ orderId });
+      if (claim?.sequence) return claim;
+
+      // A numberless claim left by an older release; clear it and claim afresh
+      await InvoiceClaim.deleteOne({ orderId, sequence: null });
+    }
+  }
+};
+
+/**
+ * Issue the tax invoice for a delivered order, or return the one already
+ * issued. Numbers run sequentially within each financial year.
+ */
+export const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ orderId: order._id });
+  if (existing) return existing;
+
+  if (order.status !== 'delivered') {
+    throw new ApiError(400, 'Invoices are issued once the order is delivered');
+  }
+
+  const user = await User.findById(order.userId);
+  const data = buildInvoiceData(order, user, getSellerDetails());
+  const { financialYear, sequence, issuedAt } = await claimInvoiceNumber(order._id);
+
+  try {
+    return await Invoice.create({
+      ...data,
+      invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      financialYear,
+      sequence,
+      issuedAt,
+    });
+  } catch (error) {
+    // Another request holding the same claim issued it first
+    if (error.code === 11000 && error.keyPattern?.orderId) {
+      return Invoice.findOne({ orderId: order._id });
+    }
+    throw error;
+  }
+};
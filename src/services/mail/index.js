@@ -0,0 +1,29 @@
+import outboxMailer from './outboxMailer.js';
+import sendgridMailer from './sendgridMailer.js';
+
+/**
+ * Mailers. Each mailer implements:
+ *
+ *   name                          - shown in logs
+ *   send({ to, subject, text })   -> { providerMessageId }
+ *
+ * Production defaults to SendGrid; everywhere else mail goes to the
+ * local outbox file.
+ */
+const mailers = {
+  outbox: outboxMailer,
+  sendgrid: sendgridMailer,
+};
+
+const defaultMailer = () =>
+  process.env.MAIL_PROVIDER || (process.env.NODE_ENV === 'production' ? 'sendgrid' : 'outbox');
+
+export const getMailer = (name = defaultMailer()) => {
+  const mailer = mailers[name];
+
+  if (!mailer) {
+    throw new Error(`Unknown mail provider: ${name}`);
+  }
+
+  return mailer;
+};
@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const getOutboxFile = () =>
+  path.resolve(process.env.MAIL_OUTBOX_FILE || 'logs/mail-outbox.log');
+
+/**
+ * Development stand-in that appends each email as a JSON line to a local
+ * outbox file instead of sending it, so reset links can be picked up there.
+ */
+const outboxMailer = {
+  name: 'outbox',
+
+  async send({ to, subject, text }) {
+    const providerMessageId = `outbox_${crypto.randomBytes(8).toString('hex')}`;
+    const file = getOutboxFile();
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({
+      id: providerMessageId,
+      to,
+      subject,
+      text,
+      sentAt: new Date(),
+    })}\n`);
+
+    return { providerMessageId };
+  },
+};
+
+export default outboxMailer;
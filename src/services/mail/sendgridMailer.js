@@ -0,0 +1,46 @@
+const SEND_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+const getCredentials = () => {
+  const apiKey = process.env.SENDGRID_API_KEY;
+  const from = process.env.MAIL_FROM;
+
+  if (!apiKey || !from) {
+    throw new Error('SENDGRID_API_KEY and MAIL_FROM must be set');
+  }
+
+  return { apiKey, from };
+};
+
+/**
+ * SendGrid's v3 mail API. Plain-text only; the message id comes back in a
+ * response header.
+ */
+const sendgridMailer = {
+  name: 'sendgrid',
+
+  async send({ to, subject, text }) {
+    const { apiKey, from } = getCredentials();
+
+    const response = await fetch(SEND_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from, name: process.env.MAIL_FROM_NAME || process.env.COMPANY_NAME || 'DhobiGo' },
+        subject,
+        content: [{ type: 'text/plain', value: text }],
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SendGrid rejected the email with status ${response.status}`);
+    }
+
+    return { providerMessageId: response.headers.get('x-message-id') };
+  },
+};
+
+export default sendgridMailer;
@@ -0,0 +1,44 @@
+const brand = () => process.env.COMPANY_NAME || 'DhobiGo';
+
+// Links only work when the admin app URL is known; otherwise send the token
+const resetInstructions = ({ resetUrl, token }) =>
+  (resetUrl
+    ? `Set a new password here:\n\n${resetUrl}`
+    : `Use this reset code in the admin app:\n\n${token}`);
+
+/**
+ * Plain-text email templates.
+ */
+export const MAIL_TEMPLATES = {
+  'admin-password-reset': {
+    subject: () => `Reset your ${brand()} admin password`,
+    render: ({ name, resetUrl, token, expiresInMinutes }) => [
+      `Hi ${name},`,
+      `Someone asked to reset the password for your ${brand()} admin account.`,
+      resetInstructions({ resetUrl, token }),
+      `This expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for it, you can ignore this email; your password hasn't changed.`,
+    ].join('\n\n'),
+  },
+  'admin-password-reset-required': {
+    subject: () => `Your ${brand()} admin password was reset`,
+    render: ({ name, resetUrl, token, expiresInMinutes }) => [
+      `Hi ${name},`,
+      `A super-admin has reset the password on your ${brand()} admin account and signed you out. Your old password no longer works.`,
+      resetInstructions({ resetUrl, token }),
+      `This expires in ${Math.round(expiresInMinutes / 60)} hours. After that, use "Forgot password" on the login page.`,
+    ].join('\n\n'),
+  },
+};
+
+export const renderMail = (name, params = {}) => {
+  const template = MAIL_TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  return {
+    subject: template.subject(params),
+    text: template.render(params),
+  };
+};
@@ -0,0 +1,19 @@
+import ApiError from '../utils/ApiError.js';
+import { getMailer } from './mail/index.js';
+import { renderMail } from './mail/templates.js';
+
+/**
+ * Render a template and send it. Throws a 502 when the provider rejects
+ * the email.
+ */
+export const sendMail = async ({ to, template, params }) => {
+  const mailer = getMailer();
+  const { subject, text } = renderMail(template, params);
+
+  try {
+    return await mailer.send({ to, subject, text });
+  } catch (error) {
+    console.error('Failed to send email', template, mailer.name, error.message);
+    throw new ApiError(502, 'Could not send the email, please try again');
+  }
+};
@@ -0,0 +1,115 @@
+import DeviceToken from '../models/DeviceToken.js';
+import User from '../models/User.js';
+import { getPushProvider } from './push/index.js';
+
+// Installs beyond this are dropped, oldest first, when a new one registers
+export const MAX_DEVICES_PER_USER = 10;
+
+// Push copy for the order milestones customers hear about
+const ORDER_NOTIFICATIONS = {
+  created: (order) => ({
+    title: 'Order placed',
+    body: `Your ${order.serviceName} order is booked for pickup on ${order.pickupTime || 'the chosen day'}.`,
+  }),
+  picked: (order) => ({
+    title: 'Clothes picked up',
+    body: `We've collected your ${order.serviceName} order.`,
+  }),
+  ready: () => ({
+    title: 'Order ready',
+    body: 'Your laundry is cleaned and ready for delivery.',
+  }),
+  'out-for-delivery': () => ({
+    title: 'Out for delivery',
+    body: 'Your laundry is on its way. Keep your handover code ready.',
+  }),
+  delivered: () => ({
+    title: 'Order delivered',
+    body: 'Your laundry has been delivered. Thanks for choosing us!',
+  }),
+  cancelled: (order) => ({
+    title: 'Order cancelled',
+    body: order.cancellation?.fee
+      ? `Your order was cancelled. A fee of ₹${order.cancellation.fee} applies.`
+      : 'Your order was cancelled.',
+  }),
+};
+
+/**
+ * Register a device for push, moving the token over if another account
+ * used it last (the phone changed hands or the user switched accounts).
+ */
+export const registerDevice = async (userId, { token, platform }) => {
+  const device = await DeviceToken.findOneAndUpdate(
+    { token },
+    { userId, platform, lastSeenAt: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const stale = await DeviceToken.find({ userId })
+    .sort({ lastSeenAt: -1 })
+    .skip(MAX_DEVICES_PER_USER)
+    .select('_id');
+  if (stale.length) {
+    await DeviceToken.deleteMany({ _id: { $in: stale.map((d) => d._id) } });
+  }
+
+  return device;
+};
+
+export const unregisterDevice = (userId, token) =>
+  DeviceToken.deleteOne({ userId, token });
+
+/**
+ * Send a push to every device the user has registered. Tokens the provider
+ * reports as gone are deleted so they aren't retried.
+ */
+export const sendToUser = async (userId, notification, data = {}) => {
+  const [devices, user] = await Promise.all([
+    DeviceToken.find({ userId }).select('token'),
+    User.findById(userId).select('fcmToken'),
+  ]);
+
+  const tokens = devices.map((device) => device.token);
+  // Older app builds stored a single token on the user
+  if (user?.fcmToken && !tokens.includes(user.fcmToken)) {
+    tokens.push(user.fcmToken);
+  }
+
+  if (tokens.length === 0) {
+    return { successCount: 0, invalidTokens: [] };
+  }
+
+  const result = await getPushProvider().send({ tokens, notification, data });
+
+  if (result.invalidTokens.length) {
+    await DeviceToken.deleteMany({ token: { $in: result.invalidTokens } });
+    if (result.invalidTokens.includes(user?.fcmToken)) {
+      await User.updateOne({ _id: userId }, { $unset: { fcmToken: 1 } });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Tell the customer about an order milestone ('created' or a status).
+ * Push is best effort: failures are logged and never reach the caller.
+ */
+export const notifyOrderEvent = async (order, event) => {
+  const template = ORDER_NOTIFICATIONS[event];
+  if (!template) {
+    return;
+  }
+
+  try {
+    await sendToUser(order.userId, template(order), {
+      type: 'order',
+      event,
+      orderId: order._id.toString(),
+      status: order.status,
+    });
+  } catch (error) {
+    console.error('Failed to send push for order', order._id, error.message);
+  }
+};
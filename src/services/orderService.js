@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+import { priceLineItems, calculateTotals, roundMoney } from '../utils/orderPricing.js';
+import { applyStatusChange } from '../utils/orderStatus.js';
+import { publishOrderEvent } from './realtime.js';
+import { notifyOrderEvent } from './notificationService.js';
+import { reserveSlot, releaseSlot, formatSlotLabel } from './slotService.js';
+import { resolveOrderArea } from './serviceAreaService.js';
+import { resolveDeliveryAddress } from './addressService.js';
+import { applyCoupon, redeemCoupon, recordRedemption, releaseCoupon } from './couponService.js';
+import {
+  BOOKING_PAYMENT_METHODS,
+  createOrderPayment,
+  createWalletPayment,
+  reverseWalletPayment,
+  captureCodPayments,
+} from './paymentService.js';
+import { resolveWalletAmount } from './walletService.js';
+import { issueInvoice } from './invoiceService.js';
+import { ensureHandoverCode, applyDeliveryProof, discardDeliveryPhoto } from './deliveryService.js';
+import {
+  getCancellationPolicy,
+  computeCancellationFee,
+  planCancellationRefunds,
+  createCancellationRefunds,
+} from './refundService.js';
+
+/**
+ * Normalise the request into line items. Older clients send a single
+ * serviceId instead of an items array; treat that as one general piece.
+ */
+const normaliseItems = ({ items, serviceId }) => {
+  if (Array.isArray(items) && items.length > 0) {
+    return items;
+  }
+
+  if (serviceId) {
+    return [{ serviceId, quantity: 1 }];
+  }
+
+  throw new ApiError(400, 'Please provide items or a serviceId');
+};
+
+/**
+ * Create an order for a user with prices computed from the Service catalog,
+ * the delivery fee of the customer's service area, an optional coupon
+ * discount, and a seat taken in the chosen pickup slot. Wallet credit can
+ * cover part or all of the total; a payment is opened for the rest and
+ * online methods return gateway checkout details.
+ * Shared by POST /api/orders and POST /api/bookings.
+ */
+export const placeOrder = async ({
+  user,
+  items,
+  serviceId,
+  slotId,
+  pickupDate,
+  pickupTime,
+  waitlist,
+  addressId,
+  address,
+  pincode,
+  location,
+  couponCode,
+  paymentMethod = 'cod',
+  useWallet,
+  walletAmount,
+  notes,
+}) => {
+  if (!BOOKING_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new ApiError(400, `Payment method must be one of: ${BOOKING_PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const pickup = resolveDeliveryAddress(user, { addressId, address, pincode, location });
+  const lineItems = await priceLineItems(normaliseItems({ items, serviceId }));
+  const itemSubtotal = calculateTotals(lineItems).subtotal;
+  const { area, deliveryFee } = await resolveOrderArea({
+    pincode: pickup.pincode,
+    location: pickup.location,
+    lineItems,
+    subtotal: itemSubtotal,
+  });
+  const { coupon } = couponCode
+    ? await applyCoupon({ code: couponCode, user, lineItems })
+    : {};
+  const { subtotal, discount, taxAmount, total } = calculateTotals(lineItems, { deliveryFee });
+  const walletPaid = await resolveWalletAmount({ userId: user._id, total, useWallet, walletAmount });
+  const amountDue = roundMoney(total - walletPaid);
+  const serviceNames = [...new Set(lineItems.map((item) => item.serviceName))];
+  const orderId = new mongoose.Types.ObjectId();
+
+  // Undo steps for everything reserved so far, run in reverse on failure
+  const rollbacks = [];
+
+  try {
+    const { slot, waitlisted } = await reserveSlot({ slotId, pickupDate, pickupTime, waitlist });
+    const pickupSlot = {
+      slotId: slot._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      waitlisted,
+    };
+    rollbacks.push(() => releaseSlot({ pickupSlot }));
+
+    if (coupon) {
+      await redeemCoupon(coupon);
+      rollbacks.push(() => releaseCoupon({ _id: orderId, coupon: { couponId: coupon._id } }));
+      await recordRedemption({ coupon, user, order: { _id: orderId }, discount });
+    }
+
+    const order = await Order.create({
+      _id: orderId,
+      userId: user._id,
+      serviceId: lineItems[0].serviceId.toString(),
+      serviceName: serviceNames.join(', '),
+      items: lineItems,
+      subtotal,
+      discount,
+      coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+      taxAmount,
+      deliveryFee,
+      total,
+      amount: total,
+      walletAmount: walletPaid,
+      paymentMethod: amountDue > 0 ? paymentMethod : 'wallet',
+      paymentStatus: amountDue > 0 ? 'pending' : 'paid',
+      pickupDate: slot.date,
+      pickupTime: formatSlotLabel(slot),
+      pickupSlot,
+      address: pickup.address,
+      deliveryAddress: pickup.snapshot,
+      serviceArea: {
+        areaId: area._id,
+        name: area.name,
+        pincode: pickup.pincode,
+      },
+      notes,
+      customerName: user.name,
+      customerPhone: user.phoneNumber,
+      status: 'pending',
+      statusHistory: [{
+        status: 'pending',
+        changedAt: new Date(),
+        actor: { type: 'user', id: user._id },
+      }],
+    });
+    rollbacks.push(() => Order.deleteOne({ _id: orderId }));
+
+    let walletPayment;
+    if (walletPaid > 0) {
+      walletPayment = await createWalletPayment({ order, amount: walletPaid });
+      rollbacks.push(() => reverseWalletPayment({ order, amount: walletPaid }));
+    }
+
+    if (amountDue === 0) {
+      publishOrderEvent('order.created', order);
+      notifyOrderEvent(order, 'created');
+      return { order, payment: walletPayment, walletPayment };
+    }
+
+    const { payment, checkout } = await createOrderPayment({
+      order,
+      method: paymentMethod,
+      amount: amountDue,
+    });
+
+    publishOrderEvent('order.created', order);
+    notifyOrderEvent(order, 'created');
+    return { order, payment, walletPayment, checkout };
+  } catch (error) {
+    for (const undo of rollbacks.reverse()) {
+      await undo();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move an order through the status lifecycle and persist it.
+ * Every status change in the app should go through here so the
+ * transition rules, history and side effects are applied consistently.
+ * Customers cancelling pay the fee from the cancellation policy out of what
+ * they prepaid; the rest is raised as a refund for admin approval.
+ * Marking delivered needs proof (see applyDeliveryProof).
+ * Live order streams are notified once everything has been applied.
+ */
+export const changeOrderStatus = async (
+  order,
+  status,
+  { actorType, actorId, note, proof, canOverrideDelivery = false } = {}
+) => {
+  const from = order.status;
+
+  let cancellationFee = 0;
+  if (status === 'cancelled' && actorType === 'user') {
+    cancellationFee = computeCancellationFee(order, await getCancellationPolicy());
+  }
+
+  applyStatusChange(order, status, { actorType, actorId, note });
+
+  if (status === 'cancelled') {
+    // Planned before saving so refunds that fail to be raised can be retried
+    const { fee, refunds } = await planCancellationRefunds(order, cancellationFee);
+    order.cancellation = {
+      reason: note,
+      fee,
+      cancelledAt: new Date(),
+      actorType,
+      actorId,
+      refunds,
+    };
+  }
+
+  if (status === 'out-for-delivery') {
+    ensureHandoverCode(order);
+  }
+
+  if (status === 'delivered') {
+    await applyDeliveryProof(order, proof, { actorType, actorId, canOverride: canOverrideDelivery });
+  }
+
+  // Only write if nobody else changed the status since we read it, so two
+  // racing changes (say a cancel and a pickup) can't both run side effects
+  order.$where = { status: from };
+  try {
+    await order.save();
+  } catch (error) {
+    if (status === 'delivered') await discardDeliveryPhoto(order);
+    if (['DocumentNotFoundError', 'VersionError'].includes(error.name)) {
+      throw new ApiError(409, 'The order status changed while this update was in progress; reload and try again');
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+
+  // An order dropped before pickup gives its slot seat back
+  if (from === 'pending' && ['cancelled', 'failed'].includes(status)) {
+    await releaseSlot(order);
+  }
+
+  if (status === 'cancelled') {
+    await releaseCoupon(order);
+
+    // Refunds not raised here stay planned on the order for POST /api/refunds/retry-cancellations
+    try {
+      await createCancellationRefunds(order);
+    } catch (error) {
+      console.error('Failed to raise cancellation refunds for order', order._id, error.message);
+    }
+  }
+
+  // Cash is collected at the door
+  if (status === 'delivered') {
+    await captureCodPayments(order._id);
+
+    // A missing invoice is issued on first download, so don't fail delivery over it
+    try {
+      await issueInvoice(order);
+    } catch (error) {
+      console.error('Failed to issue invoice for order', order._id, error.message);
+    }
+  }
+
+  publishOrderEvent('order.status-changed', order, {
+    from,
+    to: status,
+    actorType,
+    note,
+  });
+  // Not awaited: a slow push provider shouldn't hold up the status change
+  notifyOrderEvent(order, status);
+
+  return order;
+};
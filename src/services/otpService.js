@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import OtpChallenge from '../models/OtpChallenge.js';
+import ApiError from '../utils/ApiError.js';
+import { OTP_TTL_MS, issueOtp, hashOtp } from '../utils/otp.js';
+import { hitRateLimit } from './rateLimitService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const OTP_LIMITS = {
+  // Wrong guesses allowed against one code before the number is locked
+  maxVerifyAttempts: 5,
+  resendCooldownMs: 30 * 1000,
+  sendsPerPhone: { limit: 5, windowMs: HOUR_MS },
+  sendsPerIp: { limit: 20, windowMs: HOUR_MS },
+  verifiesPerIp: { limit: 50, windowMs: HOUR_MS },
+  // First lockout; each further one doubles, up to the max
+  baseLockoutMs: 15 * 60 * 1000,
+  maxLockoutMs: 24 * HOUR_MS,
+  // A quiet day after the last lockout starts the backoff over
+  lockoutResetMs: 24 * HOUR_MS,
+};
+
+const tooManyRequests = (message, retryAfterSeconds) => {
+  const error = new ApiError(429, message);
+  error.retryAfter = Math.max(retryAfterSeconds, 1);
+  return error;
+};
+
+const describeWait = (seconds) =>
+  (seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+const assertNotLocked = (challenge) => {
+  const remainingMs = challenge?.lockedUntil ? challenge.lockedUntil - Date.now() : 0;
+
+  if (remainingMs > 0) {
+    const seconds = Math.ceil(remainingMs / 1000);
+    throw tooManyRequests(`Too many incorrect OTP attempts. Try again in ${describeWait(seconds)}`, seconds);
+  }
+};
+
+const enforceLimit = async (key, limits, message) => {
+  const { allowed, retryAfter } = await hitRateLimit(key, limits);
+
+  if (!allowed) {
+    throw tooManyRequests(`${message}. Try again in ${describeWait(retryAfter)}`, retryAfter);
+  }
+};
+
+const lockout = async (challenge) => {
+  const now = new Date();
+  const recentlyLocked = challenge.lastLockoutAt
+    && now - challenge.lastLockoutAt < OTP_LIMITS.lockoutResetMs;
+  const lockoutCount = recentlyLocked ? challenge.lockoutCount + 1 : 1;
+  const durationMs = Math.min(
+    OTP_LIMITS.baseLockoutMs * 2 ** (lockoutCount - 1),
+    OTP_LIMITS.maxLockoutMs
+  );
+
+  await OtpChallenge.updateOne(
+    { _id: challenge._id },
+    {
+      $set: {
+        lockedUntil: new Date(now.getTime() + durationMs),
+        lockoutCount,
+        lastLockoutAt: now,
+      },
+      $unset: { codeHash: 1, expiresAt: 1 },
+    }
+  );
+
+  const seconds = Math.ceil(durationMs / 1000);
+  return tooManyRequests(`Too many incorrect OTP attempts. Try again in ${describeWait(seconds)}`, seconds);
+};
+
+/**
+ * Issue a fresh OTP for a phone number after checking the lockout, resend
+ * cooldown and per-phone and per-IP send limits. Any previous code stops
+ * working. Returns the plain code for the caller to deliver.
+ */
+export const createOtpChallenge = async (subject, phoneNumber, { ip }) => {
+  const existing = await OtpChallenge.findOne({ subject, phoneNumber });
+  assertNotLocked(existing);
+
+  const sinceLastSend = existing?.lastSentAt ? Date.now() - existing.lastSentAt : Infinity;
+  if (sinceLastSend < OTP_LIMITS.resendCooldownMs) {
+    const seconds = Math.ceil((OTP_LIMITS.resendCooldownMs - sinceLastSend) / 1000);
+    throw tooManyRequests(`Please wait ${describeWait(seconds)} before requesting another OTP`, seconds);
+  }
+
+  await enforceLimit(`otp-send:ip:${ip}`, OTP_LIMITS.sendsPerIp, 'Too many OTP requests from this network');
+  await enforceLimit(`otp-send:${subject}:${phoneNumber}`, OTP_LIMITS.sendsPerPhone, 'Too many OTP requests for this number');
+
+  const otp = issueOtp();
+
+  await OtpChallenge.findOneAndUpdate(
+    { subject, phoneNumber },
+    {
+      $set: {
+        codeHash: hashOtp(phoneNumber, otp),
+        expiresAt: new Date(Date.now() + OTP_TTL_MS),
+        attempts: 0,
+        lastSentAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  return otp;
+};
+
+/**
+ * Check a submitted OTP. A correct code is consumed so it can't be
+ * replayed; wrong guesses count towards a lockout that escalates on
+ * repeat offences.
+ */
+export const verifyOtpChallenge = async (subject, phoneNumber, otp, { ip }) => {
+  await enforceLimit(`otp-verify:ip:${ip}`, OTP_LIMITS.verifiesPerIp, 'Too many OTP attempts from this network');
+
+  const challenge = await OtpChallenge.findOne({ subject, phoneNumber });
+  assertNotLocked(challenge);
+
+  if (!challenge?.codeHash) {
+    throw new ApiError(400, 'Invalid OTP');
+  }
+
+  if (challenge.expiresAt < new Date()) {
+    throw new ApiError(400, 'OTP has expired');
+  }
+
+  // Claim an attempt atomically so parallel guesses can't exceed the limit
+  const claimed = await OtpChallenge.findOneAndUpdate(
+    {
+      _id: challenge._id,
+      codeHash: challenge.codeHash,
+      attempts: { $lt: OTP_LIMITS.maxVerifyAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw await lockout(challenge);
+  }
+
+  const expected = Buffer.from(claimed.codeHash, 'hex');
+  const received = Buffer.from(hashOtp(phoneNumber, String(otp)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    if (claimed.attempts >= OTP_LIMITS.maxVerifyAttempts) {
+      throw await lockout(claimed);
+    }
+
+    const remaining = OTP_LIMITS.maxVerifyAttempts - claimed.attempts;
+    throw new ApiError(400, `Invalid OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} left`);
+  }
+
+  // Only one request gets to consume the code
+  const consumed = await OtpChallenge.updateOne(
+    { _id: claimed._id, codeHash: claimed.codeHash },
+    { $unset: { codeHash: 1, expiresAt: 1 }, $set: { attempts: 0 } }
+  );
+
+  if (consumed.modifiedCount === 0) {
+    throw new ApiError(400, 'Invalid OTP');
+  }
+};
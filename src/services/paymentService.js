@@ -0,0 +1,230 @@
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+import { getPaymentGateway } from './payments/index.js';
+import { creditWallet, debitWallet } from './walletService.js';
+
+// Methods a customer can choose at booking; wallet payments are internal
+export const BOOKING_PAYMENT_METHODS = ['cod', 'upi', 'card'];
+
+// Statuses each webhook event may move a payment out of
+const EVENT_TRANSITIONS = {
+  'payment.authorized': { to: 'authorized', from: ['pending'] },
+  'payment.captured': { to: 'captured', from: ['pending', 'authorized'] },
+  'payment.failed': { to: 'failed', from: ['pending', 'authorized'] },
+};
+
+/**
+ * Summarise an order's payments into a single status for Order.paymentStatus.
+ */
+export const summarisePaymentStatus = (payments) => {
+  const live = payments.filter((p) => p.status !== 'failed');
+
+  if (live.length === 0) {
+    return payments.length > 0 ? 'failed' : 'pending';
+  }
+  if (live.every((p) => p.status === 'refunded')) {
+    return 'refunded';
+  }
+  if (live.every((p) => p.status === 'captured' || p.status === 'refunded')) {
+    return live.some((p) => p.refundedAmount > 0) ? 'partially-refunded' : 'paid';
+  }
+  if (live.every((p) => ['authorized', 'captured'].includes(p.status))) {
+    return 'authorized';
+  }
+  return 'pending';
+};
+
+export const syncOrderPaymentStatus = async (orderId) => {
+  const payments = await Payment.find({ orderId });
+  const paymentStatus = summarisePaymentStatus(payments);
+  await Order.updateOne({ _id: orderId }, { paymentStatus });
+  return paymentStatus;
+};
+
+/**
+ * Open a payment for a newly created order, for the order total or the
+ * part of it not paid from the wallet. Cash on delivery stays pending
+ * until the order is delivered; online methods get a checkout session
+ * from the configured gateway.
+ */
+export const createOrderPayment = async ({ order, method = 'cod', amount = order.total }) => {
+  if (!BOOKING_PAYMENT_METHODS.includes(method)) {
+    throw new ApiError(400, `Payment method must be one of: ${BOOKING_PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const payment = new Payment({
+    orderId: order._id,
+    userId: order.userId,
+    method,
+    amount,
+    gateway: method === 'cod' ? 'cod' : getPaymentGateway().name,
+  });
+
+  let checkout;
+  if (method !== 'cod') {
+    const gateway = getPaymentGateway(payment.gateway);
+    const session = await gateway.createPayment({ payment });
+    payment.gatewayOrderId = session.gatewayOrderId;
+    checkout = session.checkout;
+  }
+
+  await payment.save();
+
+  return { payment, checkout };
+};
+
+/**
+ * Pay part or all of an order from the customer's wallet. The wallet is
+ * debited straight away, so the payment is captured on creation.
+ */
+export const createWalletPayment = async ({ order, amount }) => {
+  const transaction = await debitWallet({
+    userId: order.userId,
+    amount,
+    source: 'order-payment',
+    reason: `Payment for order ${order._id}`,
+    orderId: order._id,
+    actor: { type: 'user', id: order.userId },
+    idempotencyKey: `order-payment:${order._id}`,
+  });
+
+  try {
+    return await Payment.create({
+      orderId: order._id,
+      userId: order.userId,
+      method: 'wallet',
+      status: 'captured',
+      amount,
+      gateway: 'wallet',
+      gatewayPaymentId: transaction._id.toString(),
+      capturedAt: new Date(),
+    });
+  } catch (error) {
+    await reverseWalletPayment({ order, amount });
+    throw error;
+  }
+};
+
+/**
+ * Put a wallet payment back when the order it paid for could not be
+ * placed. The debit stays in the ledger next to its reversal.
+ */
+export const reverseWalletPayment = async ({ order, amount }) => {
+  await creditWallet({
+    userId: order.userId,
+    amount,
+    source: 'order-reversal',
+    reason: `Order ${order._id} could not be placed`,
+    orderId: order._id,
+    idempotencyKey: `order-reversal:${order._id}`,
+  });
+  await Payment.deleteOne({ orderId: order._id, method: 'wallet', status: 'captured' });
+};
+
+// Compared in paise so float rounding can't cause a false mismatch
+const amountsMatch = (eventAmount, expected) =>
+  Number.isFinite(Number(eventAmount)) && Math.round(Number(eventAmount) * 100) === Math.round(expected * 100);
+
+/**
+ * Apply a verified gateway webhook event. Safe to call repeatedly with the
+ * same event: the event id is recorded atomically with the first delivery
+ * and later deliveries are reported as duplicates.
+ */
+export const handleGatewayEvent = async (gatewayName, event) => {
+  const transition = EVENT_TRANSITIONS[event.type];
+
+  if (!event.eventId || !event.gatewayOrderId) {
+    throw new ApiError(400, 'Malformed webhook event');
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    {
+      gateway: gatewayName,
+      gatewayOrderId: event.gatewayOrderId,
+      'events.eventId': { $ne: event.eventId },
+    },
+    { $push: { events: { eventId: event.eventId, type: event.type } } },
+    { new: true }
+  );
+
+  if (!payment) {
+    const exists = await Payment.exists({ gateway: gatewayName, gatewayOrderId: event.gatewayOrderId });
+    return { ignored: true, reason: exists ? 'duplicate' : 'unknown payment' };
+  }
+
+  if (!transition || !transition.from.includes(payment.status)) {
+    return { ignored: true, reason: `no change from ${payment.status}`, payment };
+  }
+
+  // Authorising or capturing less (or more) than was asked for must not
+  // count as the full amount collected; leave it for manual follow-up
+  if (transition.to !== 'failed' && !amountsMatch(event.amount, payment.amount)) {
+    console.warn('Ignoring payment event with mismatched amount', event.eventId, event.amount, payment.amount);
+    return { ignored: true, reason: 'amount mismatch', payment };
+  }
+
+  const update = { status: transition.to };
+  if (event.gatewayPaymentId) update.gatewayPaymentId = event.gatewayPaymentId;
+  if (transition.to === 'authorized') update.authorizedAt = new Date();
+  if (transition.to === 'captured') update.capturedAt = new Date();
+  if (transition.to === 'failed') update.failureReason = event.reason;
+
+  // Only move forward from the status checked above, so a late or replayed
+  // event racing a newer one can't send the payment backwards
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: transition.from } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Payment.findById(payment._id);
+    return { ignored: true, reason: `no change from ${current?.status}`, payment: current };
+  }
+
+  await syncOrderPaymentStatus(updated.orderId);
+
+  return { ignored: false, payment: updated };
+};
+
+/**
+ * Mark cash collected for an order's pending COD payments (on delivery).
+ */
+export const captureCodPayments = async (orderId) => {
+  const result = await Payment.updateMany(
+    { orderId, method: 'cod', status: 'pending' },
+    { status: 'captured', capturedAt: new Date() }
+  );
+
+  if (result.modifiedCount > 0) {
+    await syncOrderPaymentStatus(orderId);
+  }
+};
+
+/**
+ * Money actually collected (captured less refunds) for reconciliation.
+ */
+export const getCollectedTotals = async (match = {}) => {
+  const [totals] = await Payment.aggregate([
+    { $match: { ...match, status: { $in: ['captured', 'refunded'] } } },
+    {
+      $group: {
+        _id: null,
+        captured: { $sum: '$amount' },
+        refunded: { $sum: '$refundedAmount' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const captured = totals?.captured || 0;
+  const refunded = totals?.refunded || 0;
+
+  return {
+    captured,
+    refunded,
+    net: captured - refunded,
+    count: totals?.count || 0,
+  };
+};
@@ -0,0 +1,36 @@
+import mockGateway from './mockGateway.js';
+import walletGateway from './walletGateway.js';
+
+/**
+ * Payment gateway adapters. Each adapter implements:
+ *
+ *   name                                  - stored on Payment.gateway
+ *   createPayment({ payment })            -> { gatewayOrderId, checkout }
+ *   verifyWebhook(rawBody, headers)       -> boolean
+ *   parseWebhookEvent(body)               -> { eventId, type, gatewayOrderId,
+ *                                              gatewayPaymentId, amount, reason }
+ *   refund({ payment, amount, reason, refundId })
+ *                                         -> { gatewayRefundId, amount, status }
+ *
+ * Event types understood by the payment service:
+ *   payment.authorized, payment.captured, payment.failed
+ */
+const gateways = {
+  mock: mockGateway,
+  wallet: walletGateway,
+};
+
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || 'mock') => {
+  const gateway = gateways[name];
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  // The mock gateway marks payments captured on request; never in production
+  if (gateway === mockGateway && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment gateway cannot be used in production; set PAYMENT_GATEWAY');
+  }
+
+  return gateway;
+};
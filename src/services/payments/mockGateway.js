@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// No default: an unset secret must not leave webhooks signable by anyone
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Sign a webhook body the same way the mock gateway would.
+ */
+export const signPayload = (rawBody) => {
+  const secret = getSecret();
+
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set');
+  }
+
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+/**
+ * Local stand-in for a real payment gateway. It never talks to the network:
+ * checkout is "created" instantly and events arrive as signed webhooks,
+ * either from a test client or the simulate endpoint in development.
+ */
+const mockGateway = {
+  name: 'mock',
+
+  async createPayment({ payment }) {
+    const gatewayOrderId = randomId('mock_order');
+
+    return {
+      gatewayOrderId,
+      checkout: {
+        gateway: 'mock',
+        gatewayOrderId,
+        amount: payment.amount,
+        currency: payment.currency,
+      },
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+
+    if (!getSecret() || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(signPayload(rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // Map the gateway payload onto the shape the payment service understands
+  parseWebhookEvent(body) {
+    return {
+      eventId: body.id,
+      type: body.event,
+      gatewayOrderId: body.data?.orderId,
+      gatewayPaymentId: body.data?.paymentId,
+      amount: body.data?.amount,
+      reason: body.data?.reason,
+    };
+  },
+
+  async refund({ amount }) {
+    return {
+      gatewayRefundId: randomId('mock_refund'),
+      amount,
+      status: 'processed',
+    };
+  },
+
+  // Build a signed webhook as the gateway would send it (development only)
+  buildEvent({ payment, event, reason }) {
+    const body = {
+      id: randomId('evt'),
+      event,
+      data: {
+        orderId: payment.gatewayOrderId,
+        paymentId: payment.gatewayPaymentId || randomId('mock_pay'),
+        amount: payment.amount,
+        reason,
+      },
+    };
+    const rawBody = JSON.stringify(body);
+
+    return {
+      body,
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: signPayload(rawBody) },
+    };
+  },
+};
+
+export default mockGateway;
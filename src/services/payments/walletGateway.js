@@ -0,0 +1,42 @@
+import { creditWallet } from '../walletService.js';
+
+/**
+ * Stored credit as a payment "gateway". The debit happens when the order is
+ * placed (see createWalletPayment), so there is no checkout or webhook;
+ * refunds go straight back into the customer's wallet.
+ */
+const walletGateway = {
+  name: 'wallet',
+
+  async createPayment() {
+    throw new Error('Wallet payments are captured at booking, not through checkout');
+  },
+
+  verifyWebhook() {
+    return false;
+  },
+
+  parseWebhookEvent() {
+    throw new Error('Wallet payments do not receive webhooks');
+  },
+
+  async refund({ payment, amount, reason, refundId }) {
+    const transaction = await creditWallet({
+      userId: payment.userId,
+      amount,
+      source: 'refund',
+      reason,
+      orderId: payment.orderId,
+      refundId,
+      idempotencyKey: refundId ? `refund:${refundId}` : undefined,
+    });
+
+    return {
+      gatewayRefundId: transaction._id.toString(),
+      amount,
+      status: 'processed',
+    };
+  },
+};
+
+export default walletGateway;
@@ -0,0 +1,37 @@
+// Tokens starting with this are reported as unregistered, to exercise pruning
+const INVALID_TOKEN_PREFIX = 'invalid';
+
+// Only the latest messages are kept, so a long-running server doesn't grow
+const MAX_SENT_MESSAGES = 500;
+
+const sentMessages = [];
+
+export const getSentMessages = () => sentMessages;
+
+export const clearSentMessages = () => {
+  sentMessages.length = 0;
+};
+
+/**
+ * Local stand-in for FCM. Messages are kept in memory instead of being
+ * delivered, so tests and development can see what would have been sent.
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  async send({ tokens, notification, data }) {
+    const invalidTokens = tokens.filter((token) => token.startsWith(INVALID_TOKEN_PREFIX));
+    const delivered = tokens.filter((token) => !invalidTokens.includes(token));
+
+    delivered.forEach((token) => {
+      sentMessages.push({ token, notification, data, sentAt: new Date() });
+    });
+    if (sentMessages.length > MAX_SENT_MESSAGES) {
+      sentMessages.splice(0, sentMessages.length - MAX_SENT_MESSAGES);
+    }
+
+    return { successCount: delivered.length, invalidTokens };
+  },
+};
+
+export default fakeProvider;
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM error codes meaning the token will never work again. INVALID_ARGUMENT
+// is left out: a bad payload would otherwise wipe every token.
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+let cachedAccessToken = null;
+
+const getCredentials = () => {
+  const projectId = process.env.FCM_PROJECT_ID;
+  const clientEmail = process.env.FCM_CLIENT_EMAIL;
+  // Keys pasted into .env usually have their newlines escaped
+  const privateKey = process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+  if (!projectId || !clientEmail || !privateKey) {
+    throw new Error('FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY must be set');
+  }
+
+  return { projectId, clientEmail, privateKey };
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Exchange a service-account JWT for a short-lived OAuth access token
+const getAccessToken = async ({ clientEmail, privateKey }) => {
+  if (cachedAccessToken && cachedAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return cachedAccessToken.token;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: clientEmail,
+    scope: SCOPE,
+    aud: TOKEN_URL,
+    iat: now,
+    exp: now + 3600,
+  }));
+  const signature = crypto
+    .sign('RSA-SHA256', Buffer.from(`${header}.${claims}`), privateKey)
+    .toString('base64url');
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${header}.${claims}.${signature}`,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`FCM authentication failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  cachedAccessToken = {
+    token: body.access_token,
+    expiresAt: Date.now() + body.expires_in * 1000,
+  };
+
+  return cachedAccessToken.token;
+};
+
+const errorCode = (body) =>
+  body?.error?.details?.find((detail) => detail.errorCode)?.errorCode || body?.error?.status;
+
+/**
+ * Firebase Cloud Messaging over the HTTP v1 API. v1 has no multicast, so
+ * each token is one request.
+ */
+const fcmProvider = {
+  name: 'fcm',
+
+  async send({ tokens, notification, data }) {
+    const credentials = getCredentials();
+    const accessToken = await getAccessToken(credentials);
+    const url = `https://fcm.googleapis.com/v1/projects/${credentials.projectId}/messages:send`;
+
+    // FCM only accepts string values in the data payload
+    const stringData = Object.fromEntries(
+      Object.entries(data || {}).map(([key, value]) => [key, String(value)])
+    );
+
+    const results = await Promise.all(tokens.map(async (token) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          message: { token, notification, data: stringData },
+        }),
+      });
+
+      if (response.ok) {
+        return { token, ok: true };
+      }
+
+      const code = errorCode(await response.json().catch(() => null));
+      return { token, ok: false, invalid: INVALID_TOKEN_ERRORS.includes(code), code };
+    }));
+
+    results
+      .filter((result) => !result.ok && !result.invalid)
+      .forEach((result) => console.error('FCM send failed:', result.code || 'unknown error'));
+
+    return {
+      successCount: results.filter((result) => result.ok).length,
+      invalidTokens: results.filter((result) => result.invalid).map((result) => result.token),
+    };
+  },
+};
+
+export default fcmProvider;
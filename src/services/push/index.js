@@ -0,0 +1,32 @@
+import fcmProvider from './fcmProvider.js';
+import fakeProvider from './fakeProvider.js';
+
+/**
+ * Push notification providers. Each provider implements:
+ *
+ *   name                                    - for logs
+ *   send({ tokens, notification: { title, body }, data })
+ *                                           -> { successCount, invalidTokens }
+ *
+ * invalidTokens lists tokens the provider says are gone for good; the
+ * notification service deletes them.
+ *
+ * Production defaults to FCM; everywhere else pushes stay in memory.
+ */
+const providers = {
+  fcm: fcmProvider,
+  fake: fakeProvider,
+};
+
+const defaultProvider = () =>
+  process.env.PUSH_PROVIDER || (process.env.NODE_ENV === 'production' ? 'fcm' : 'fake');
+
+export const getPushProvider = (name = defaultProvider()) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+
+  return provider;
+};
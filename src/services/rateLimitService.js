@@ -0,0 +1,32 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+/**
+ * Count a hit against a fixed-window limit shared by every server process.
+ * Returns whether the hit is within the limit and, if not, how many
+ * seconds remain until the window resets.
+ */
+export const hitRateLimit = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const expiresAt = new Date(windowStart + windowMs);
+
+  const increment = () => RateLimitCounter.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first hits in a window can race to insert the counter
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return {
+    allowed: counter.count <= limit,
+    retryAfter: Math.ceil((expiresAt.getTime() - now) / 1000),
+  };
+};
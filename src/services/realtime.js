@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import { findActiveSession, sessionEvents } from './sessionService.js';
+
+// Recent events kept so a reconnecting client can catch up via Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * In-process event bus behind the SSE streams. Events only reach clients
+ * connected to this server process; running several instances would need
+ * a shared broker (e.g. Redis pub/sub) feeding publish() on each.
+ */
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const recentEvents = [];
+let lastEventId = 0;
+
+const toOrderSummary = (order) => ({
+  _id: order._id,
+  status: order.status,
+  serviceName: order.serviceName,
+  customerName: order.customerName,
+  pickupDate: order.pickupDate,
+  pickupTime: order.pickupTime,
+  total: order.total,
+  paymentStatus: order.paymentStatus,
+});
+
+/**
+ * Broadcast an event to every open stream whose filter accepts it.
+ */
+export const publish = (type, { userId, orderId, data } = {}) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    userId: userId?.toString(),
+    orderId: orderId?.toString(),
+    data,
+    at: new Date(),
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) recentEvents.shift();
+
+  bus.emit('event', event);
+  return event;
+};
+
+/**
+ * Publish an order event for the order's owner and the admin firehose.
+ * Never include the order document itself: it carries private fields.
+ */
+export const publishOrderEvent = (type, order, data = {}) =>
+  publish(type, {
+    userId: order.userId?._id || order.userId,
+    orderId: order._id,
+    data: { order: toOrderSummary(order), ...data },
+  });
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    orderId: event.orderId,
+    ...event.data,
+    at: event.at,
+  })}\n\n`);
+};
+
+// Whether a revocation from sessionEvents covers the stream's session
+const isRevoked = (auth, revoked) => {
+  const sessionId = auth.sessionId.toString();
+
+  if (revoked.sessionId) {
+    return revoked.sessionId === sessionId;
+  }
+  return revoked.subjectType === auth.type
+    && revoked.subjectId === auth.id.toString()
+    && revoked.except !== sessionId;
+};
+
+/**
+ * Turn the response into a Server-Sent Events stream of the events that
+ * pass the filter, until the client disconnects or its session ends.
+ * Revocations close the stream at once; the session is also re-checked on
+ * every heartbeat to catch expiry and revocations made by other instances.
+ */
+export const openEventStream = (req, res, filter) => {
+  const { auth } = req;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+
+  const since = parseInt(req.headers['last-event-id'], 10);
+  if (Number.isInteger(since)) {
+    recentEvents
+      .filter((event) => event.id > since && filter(event))
+      .forEach((event) => writeEvent(res, event));
+  }
+
+  const onEvent = (event) => {
+    if (filter(event)) writeEvent(res, event);
+  };
+  bus.on('event', onEvent);
+
+  const onRevoked = (revoked) => {
+    if (isRevoked(auth, revoked)) res.end();
+  };
+  sessionEvents.on('revoked', onRevoked);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!await findActiveSession(auth.sessionId, auth.id)) {
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.error('Failed to re-check the session of an event stream', error.message);
+    }
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off('event', onEvent);
+    sessionEvents.off('revoked', onRevoked);
+  });
+};
@@ -0,0 +1,300 @@
+import Refund from '../models/Refund.js';
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+import { roundMoney } from '../utils/orderPricing.js';
+import { ORDER_TRANSITIONS } from '../utils/orderStatus.js';
+import { getSetting } from './settingsService.js';
+import { getPaymentGateway } from './payments/index.js';
+import { syncOrderPaymentStatus } from './paymentService.js';
+
+export const CANCELLATION_POLICY_KEY = 'cancellationPolicy';
+
+// Statuses the lifecycle allows cancelling from
+export const CANCELLABLE_STATUSES = Object.keys(ORDER_TRANSITIONS)
+  .filter((status) => ORDER_TRANSITIONS[status].includes('cancelled'));
+
+// Free before pickup, flat fee after pickup, no cancelling once processing starts
+export const DEFAULT_CANCELLATION_POLICY = {
+  pending: { allowed: true, feeType: 'flat', feeValue: 0 },
+  picked: { allowed: true, feeType: 'flat', feeValue: 50 },
+};
+
+export const getCancellationPolicy = () =>
+  getSetting(CANCELLATION_POLICY_KEY, DEFAULT_CANCELLATION_POLICY);
+
+// Returns an error message or null
+export const validateCancellationPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') {
+    return 'Policy must be an object keyed by order status';
+  }
+
+  for (const [status, rule] of Object.entries(policy)) {
+    if (!CANCELLABLE_STATUSES.includes(status)) {
+      return `Orders cannot be cancelled from ${status}; allowed: ${CANCELLABLE_STATUSES.join(', ')}`;
+    }
+    if (typeof rule.allowed !== 'boolean') {
+      return `Rule for ${status} needs an allowed flag`;
+    }
+    if (rule.allowed) {
+      if (!['flat', 'percentage'].includes(rule.feeType)) {
+        return `Rule for ${status} needs feeType flat or percentage`;
+      }
+      if (typeof rule.feeValue !== 'number' || rule.feeValue < 0
+        || (rule.feeType === 'percentage' && rule.feeValue > 100)) {
+        return `Rule for ${status} has an invalid feeValue`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fee a customer pays to cancel the order in its current status.
+ * Throws when the policy does not let customers cancel at this stage.
+ */
+export const computeCancellationFee = (order, policy) => {
+  const rule = policy[order.status];
+
+  if (!rule || !rule.allowed) {
+    throw new ApiError(400, `Orders cannot be cancelled once they are ${order.status}`);
+  }
+
+  const fee = rule.feeType === 'percentage'
+    ? (order.total * rule.feeValue) / 100
+    : rule.feeValue;
+
+  return roundMoney(Math.min(fee, order.total));
+};
+
+/**
+ * Amount still refundable on a payment, net of refunds already
+ * processed or waiting for approval.
+ */
+export const getRefundableAmount = async (payment) => {
+  if (!['captured', 'refunded'].includes(payment.status)) {
+    return 0;
+  }
+
+  const [pending] = await Refund.aggregate([
+    { $match: { paymentId: payment._id, status: 'pending' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+
+  return roundMoney(payment.amount - payment.refundedAmount - (pending?.total || 0));
+};
+
+/**
+ * Open a refund request against a payment. It waits for admin approval.
+ */
+export const createRefund = async ({
+  order,
+  payment,
+  amount,
+  category,
+  reason,
+  destination,
+  requestedBy,
+}) => {
+  const refundable = await getRefundableAmount(payment);
+  const refundAmount = roundMoney(amount ?? refundable);
+
+  if (!(refundAmount > 0)) {
+    throw new ApiError(400, 'Refund amount must be greater than zero');
+  }
+  if (refundAmount > refundable) {
+    throw new ApiError(400, `Only ₹${refundable} can be refunded on this payment`);
+  }
+
+  return Refund.create({
+    orderId: order._id,
+    paymentId: payment._id,
+    userId: order.userId,
+    amount: refundAmount,
+    type: refundAmount === roundMoney(payment.amount - payment.refundedAmount) ? 'full' : 'partial',
+    category,
+    reason,
+    destination,
+    requestedBy,
+  });
+};
+
+/**
+ * Work out how a cancellation is settled: the fee is kept back from what
+ * the customer prepaid and the rest is refunded payment by payment. Only
+ * prepaid money can be kept, so an unpaid (e.g. cash) order cancels free.
+ * Returns the fee actually charged and the refunds to raise.
+ */
+export const planCancellationRefunds = async (order, fee) => {
+  const payments = await Payment.find({ orderId: order._id, status: 'captured' })
+    .sort({ createdAt: 1 });
+
+  let feeToKeep = fee;
+  const refunds = [];
+
+  for (const payment of payments) {
+    const refundable = await getRefundableAmount(payment);
+    const kept = Math.min(feeToKeep, refundable);
+    feeToKeep = roundMoney(feeToKeep - kept);
+
+    const amount = roundMoney(refundable - kept);
+    if (amount > 0) {
+      refunds.push({ paymentId: payment._id, amount });
+    }
+  }
+
+  return { fee: roundMoney(fee - feeToKeep), refunds };
+};
+
+/**
+ * Raise the refund requests planned on a cancelled order that haven't
+ * been raised yet. Each one is linked back to the order as it is created,
+ * so running this again after a failure picks up where it stopped.
+ */
+export const createCancellationRefunds = async (order) => {
+  const { reason, actorType, actorId } = order.cancellation;
+  const refunds = [];
+
+  for (const planned of order.cancellation.refunds || []) {
+    if (planned.refundId) continue;
+
+    // A previous run may have raised it but died before linking it
+    let refund = await Refund.findOne({
+      orderId: order._id,
+      paymentId: planned.paymentId,
+      category: 'cancellation',
+    });
+
+    if (!refund) {
+      const payment = await Payment.findById(planned.paymentId);
+      refund = await createRefund({
+        order,
+        payment,
+        amount: planned.amount,
+        category: 'cancellation',
+        reason: reason || 'Order cancelled',
+        requestedBy: { type: actorType, id: actorId },
+      });
+    }
+
+    await Order.updateOne(
+      { _id: order._id, 'cancellation.refunds.paymentId': planned.paymentId },
+      { $set: { 'cancellation.refunds.$.refundId': refund._id } }
+    );
+    planned.refundId = refund._id;
+    refunds.push(refund);
+  }
+
+  return refunds;
+};
+
+/**
+ * Retry cancellation refunds that failed to be raised. Returns the number
+ * of orders settled and the ones that still failed.
+ */
+export const retryCancellationRefunds = async () => {
+  const orders = await Order.find({
+    status: 'cancelled',
+    'cancellation.refunds': { $elemMatch: { refundId: null } },
+  }).limit(100);
+
+  const failed = [];
+  for (const order of orders) {
+    try {
+      await createCancellationRefunds(order);
+    } catch (error) {
+      failed.push({ orderId: order._id, error: error.message });
+    }
+  }
+
+  return { settled: orders.length - failed.length, failed };
+};
+
+/**
+ * Approve a pending refund and send it through the payment's gateway, or
+ * into the customer's wallet when that is the chosen destination.
+ * Cash payments have no gateway and are marked as settled by hand.
+ */
+export const approveRefund = async (refundId, { adminId, note }) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: 'pending', reviewedAt: { $exists: false } },
+    { reviewedBy: adminId, reviewedAt: new Date(), reviewNote: note },
+    { new: true }
+  );
+
+  if (!refund) {
+    throw new ApiError(409, 'Refund is not pending approval');
+  }
+
+  // Reserve the amount on the payment first so two refunds can't overshoot it
+  const payment = await Payment.findOneAndUpdate(
+    {
+      _id: refund.paymentId,
+      $expr: { $lte: [{ $add: ['$refundedAmount', refund.amount] }, '$amount'] },
+    },
+    { $inc: { refundedAmount: refund.amount } },
+    { new: true }
+  );
+
+  if (!payment) {
+    refund.status = 'failed';
+    refund.failureReason = 'Refund exceeds the amount paid';
+    await refund.save();
+    return refund;
+  }
+
+  try {
+    const gatewayName = refund.destination === 'wallet' ? 'wallet' : payment.gateway;
+
+    if (gatewayName === 'cod') {
+      refund.gatewayRefundId = 'manual';
+    } else {
+      const result = await getPaymentGateway(gatewayName).refund({
+        payment,
+        amount: refund.amount,
+        reason: refund.reason,
+        refundId: refund._id,
+      });
+      refund.gatewayRefundId = result.gatewayRefundId;
+    }
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refund.amount } });
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+    return refund;
+  }
+
+  if (payment.refundedAmount >= payment.amount) {
+    payment.status = 'refunded';
+    await payment.save();
+  }
+
+  refund.status = 'processed';
+  refund.processedAt = new Date();
+  await refund.save();
+
+  await syncOrderPaymentStatus(refund.orderId);
+
+  return refund;
+};
+
+export const rejectRefund = async (refundId, { adminId, note }) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: 'pending', reviewedAt: { $exists: false } },
+    {
+      status: 'rejected',
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    throw new ApiError(409, 'Refund is not pending approval');
+  }
+
+  return refund;
+};
@@ -0,0 +1,141 @@
+import Rider from '../models/Rider.js';
+import RiderLocation from '../models/RiderLocation.js';
+import ApiError from '../utils/ApiError.js';
+import { isValidCoordinate } from '../utils/geo.js';
+import { estimateTravel } from '../utils/routePlanner.js';
+
+// Pings older than this are shown as last known, without an ETA
+const getStaleAfterMs = () =>
+  (parseFloat(process.env.RIDER_LOCATION_STALE_MINUTES) || 5) * 60 * 1000;
+
+// Phones with bad clocks: don't accept ping times far from now
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+const describeLocation = (location, now = new Date()) => {
+  if (!location?.recordedAt) {
+    return null;
+  }
+
+  const ageMs = now - location.recordedAt;
+
+  return {
+    lat: location.lat,
+    lng: location.lng,
+    recordedAt: location.recordedAt,
+    ageSeconds: Math.max(0, Math.round(ageMs / 1000)),
+    stale: ageMs > getStaleAfterMs(),
+  };
+};
+
+/**
+ * Store a GPS ping from a rider's phone and make it their last location.
+ */
+export const recordPing = async (rider, { lat, lng, accuracy, speedKmh, heading, recordedAt }) => {
+  const point = { lat: Number(lat), lng: Number(lng) };
+
+  if (!isValidCoordinate(point)) {
+    throw new ApiError(400, 'Please provide a valid lat and lng');
+  }
+
+  const now = Date.now();
+  let at = recordedAt ? new Date(recordedAt) : new Date(now);
+  if (Number.isNaN(at.getTime()) || Math.abs(at.getTime() - now) > MAX_CLOCK_SKEW_MS) {
+    at = new Date(now);
+  }
+
+  const ping = await RiderLocation.create({
+    riderId: rider._id,
+    ...point,
+    accuracy,
+    speedKmh,
+    heading,
+    recordedAt: at,
+  });
+
+  // Pings can arrive out of order when the phone reconnects; keep the newest
+  await Rider.updateOne(
+    {
+      _id: rider._id,
+      $or: [
+        { 'lastLocation.recordedAt': { $exists: false } },
+        { 'lastLocation.recordedAt': { $lt: at } },
+      ],
+    },
+    { lastLocation: { ...point, recordedAt: at } }
+  );
+
+  return ping;
+};
+
+/**
+ * Where the rider handling an order is and roughly when they'll arrive.
+ * Only available while a rider is heading to the customer: an assigned
+ * pickup that is still pending, or an order out for delivery. Without a
+ * recent ping the last known position is returned with no ETA.
+ */
+export const getOrderRiderLocation = async (order) => {
+  let task;
+  if (order.status === 'pending') task = order.pickupTask;
+  if (order.status === 'out-for-delivery') task = order.deliveryTask;
+
+  if (!task?.riderId || task.completedAt) {
+    return { available: false, reason: 'No rider is on the way for this order right now' };
+  }
+
+  const rider = await Rider.findById(task.riderId).select('name phoneNumber lastLocation');
+  const location = describeLocation(rider?.lastLocation);
+
+  if (!location) {
+    return {
+      available: false,
+      reason: 'Rider location is not available yet',
+      rider: rider ? { name: rider.name, phoneNumber: rider.phoneNumber } : undefined,
+    };
+  }
+
+  const destination = order.deliveryAddress?.location;
+  const hasDestination = isValidCoordinate({ lat: destination?.lat, lng: destination?.lng });
+  const travel = hasDestination ? estimateTravel(location, destination) : null;
+
+  return {
+    available: true,
+    rider: { name: rider.name, phoneNumber: rider.phoneNumber },
+    location,
+    distanceKm: travel?.distanceKm ?? null,
+    etaMinutes: travel && !location.stale ? travel.minutes : null,
+    arrived: Boolean(task.arrivedAt),
+  };
+};
+
+/**
+ * Active riders with their last known positions, for the admin live map.
+ */
+export const getLiveRiderMap = async () => {
+  const now = new Date();
+  const riders = await Rider.find({ isActive: true })
+    .select('name phoneNumber vehicleNumber lastLocation')
+    .sort({ name: 1 });
+
+  return riders.map((rider) => ({
+    riderId: rider._id,
+    name: rider.name,
+    phoneNumber: rider.phoneNumber,
+    vehicleNumber: rider.vehicleNumber,
+    location: describeLocation(rider.lastLocation, now),
+  }));
+};
+
+/**
+ * A rider's recent trail (pings are only kept for a day).
+ */
+export const getRiderTrail = async (riderId, { since } = {}) => {
+  const from = since ? new Date(since) : new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime())) {
+    throw new ApiError(400, 'since must be a valid date');
+  }
+
+  return RiderLocation.find({ riderId, recordedAt: { $gte: from } })
+    .select('lat lng accuracy speedKmh heading recordedAt -_id')
+    .sort({ recordedAt: 1 });
+};
@@ -0,0 +1,219 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import ApiError from '../utils/ApiError.js';
+import { roundMoney } from '../utils/orderPricing.js';
+import { planRoute, getRoutingConfig } from '../utils/routePlanner.js';
+import { toSlotDate, localToday } from './slotService.js';
+import { changeOrderStatus } from './orderService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RIDER_TASK_TYPES = ['pickup', 'delivery'];
+
+// Order status a rider can arrive at / complete each kind of task from
+const TASK_OPEN_STATUS = {
+  pickup: 'pending',
+  delivery: 'out-for-delivery',
+};
+
+const countPieces = (order) => order.items.reduce((sum, item) => sum + item.quantity, 0);
+
+const toTask = (order, type, cashByOrder) => {
+  const task = order[`${type}Task`] || {};
+
+  return {
+    orderId: order._id,
+    type,
+    status: order.status,
+    done: Boolean(task.completedAt),
+    customerName: order.customerName,
+    customerPhone: order.customerPhone,
+    address: order.address,
+    location: order.deliveryAddress?.location,
+    pickupDate: order.pickupDate,
+    pickupTime: order.pickupTime,
+    pieces: countPieces(order),
+    itemCount: task.itemCount,
+    cashToCollect: type === 'delivery' ? cashByOrder.get(order._id.toString()) || 0 : 0,
+    notes: order.notes,
+    assignedAt: task.assignedAt,
+    arrivedAt: task.arrivedAt,
+    completedAt: task.completedAt,
+  };
+};
+
+// When a slot's window opens on the given day (server local time)
+const slotStart = (order, day) => {
+  const [hours, minutes] = (order.pickupSlot?.startTime || '00:00').split(':').map(Number);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+};
+
+/**
+ * Ordered stop lists for the rider's open work: one run per pickup slot,
+ * each starting where the previous one ended, then one delivery run from
+ * the store. ETAs count from the slot start or now, whichever is later.
+ */
+const planRuns = (pickupOrders, pickupTasks, deliveryTasks, day, start) => {
+  const now = new Date();
+  const runs = [];
+  let position = start;
+
+  const bySlot = new Map();
+  pickupOrders.forEach((order, i) => {
+    if (order.status !== 'pending' || pickupTasks[i].done) return;
+    const group = bySlot.get(order.pickupTime) || { startTime: slotStart(order, day), stops: [] };
+    group.stops.push(pickupTasks[i]);
+    bySlot.set(order.pickupTime, group);
+  });
+
+  [...bySlot.entries()]
+    .sort(([, a], [, b]) => a.startTime - b.startTime)
+    .forEach(([slot, group]) => {
+      const plan = planRoute(group.stops, {
+        start: position,
+        startTime: group.startTime > now ? group.startTime : now,
+      });
+      runs.push({ type: 'pickup', slot, ...plan });
+
+      const located = plan.stops.filter((stop) => stop.eta);
+      if (located.length > 0) position = located[located.length - 1].location;
+    });
+
+  const openDeliveries = deliveryTasks.filter((task) => !task.done);
+  if (openDeliveries.length > 0) {
+    runs.push({
+      type: 'delivery',
+      ...planRoute(openDeliveries, { start: getRoutingConfig().store || position, startTime: now }),
+    });
+  }
+
+  return runs;
+};
+
+/**
+ * A rider's run for one day: pickups booked for that date, and deliveries
+ * still to be made plus any completed on that date, with the open ones
+ * put in riding order. Pass the rider's current position to start from
+ * there instead of the store.
+ */
+export const getRiderTasks = async (riderId, date, { start } = {}) => {
+  const day = date ? toSlotDate(date) : localToday();
+  const dayStart = new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+  const [pickups, deliveries] = await Promise.all([
+    Order.find({
+      'pickupTask.riderId': riderId,
+      pickupDate: day,
+      status: { $nin: ['cancelled', 'failed'] },
+    }).sort({ pickupTime: 1 }),
+    Order.find({
+      'deliveryTask.riderId': riderId,
+      $or: [
+        { status: { $in: ['ready', 'out-for-delivery'] } },
+        { 'deliveryTask.completedAt': { $gte: dayStart, $lt: dayEnd } },
+      ],
+    }).sort({ updatedAt: 1 }),
+  ]);
+
+  // Cash still owed on delivery runs
+  const pendingCash = await Payment.find({
+    orderId: { $in: deliveries.map((order) => order._id) },
+    method: 'cod',
+    status: 'pending',
+  });
+  const cashByOrder = new Map();
+  pendingCash.forEach((payment) => {
+    const key = payment.orderId.toString();
+    cashByOrder.set(key, roundMoney((cashByOrder.get(key) || 0) + payment.amount));
+  });
+
+  const pickupTasks = pickups.map((order) => toTask(order, 'pickup', cashByOrder));
+  const deliveryTasks = deliveries.map((order) => toTask(order, 'delivery', cashByOrder));
+
+  return {
+    date: day.toISOString().slice(0, 10),
+    pickups: pickupTasks,
+    deliveries: deliveryTasks,
+    runs: planRuns(pickups, pickupTasks, deliveryTasks, day, start),
+  };
+};
+
+/**
+ * Load an order the rider is assigned to for the given task type.
+ */
+export const getRiderOrder = async (orderId, riderId, type) => {
+  if (!RIDER_TASK_TYPES.includes(type)) {
+    throw new ApiError(400, `Task type must be one of: ${RIDER_TASK_TYPES.join(', ')}`);
+  }
+
+  const order = await Order.findOne({ _id: orderId, [`${type}Task.riderId`]: riderId });
+
+  if (!order) {
+    throw new ApiError(404, `No ${type} assigned to you for this order`);
+  }
+
+  return order;
+};
+
+export const markArrived = async (order, type) => {
+  if (order.status !== TASK_OPEN_STATUS[type]) {
+    throw new ApiError(409, `Cannot mark arrival for a ${type} while the order is ${order.status}`);
+  }
+
+  order[`${type}Task`].arrivedAt = new Date();
+  await order.save();
+
+  return order;
+};
+
+/**
+ * Rider collected the clothes. The piece count is recorded and any
+ * difference from what was booked is noted on the order history.
+ */
+export const confirmPickup = async (order, rider, itemCount) => {
+  const count = Number(itemCount);
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ApiError(400, 'itemCount must be a whole number greater than zero');
+  }
+
+  if (order.pickupSlot?.waitlisted) {
+    throw new ApiError(409, 'Order is still on the waitlist for its pickup slot');
+  }
+
+  const booked = countPieces(order);
+  order.pickupTask.itemCount = count;
+  order.pickupTask.completedAt = new Date();
+
+  return changeOrderStatus(order, 'picked', {
+    actorType: 'rider',
+    actorId: rider._id,
+    note: count === booked
+      ? `Picked up ${count} items`
+      : `Rider counted ${count} items, ${booked} were booked`,
+  });
+};
+
+export const startDelivery = (order, rider) =>
+  changeOrderStatus(order, 'out-for-delivery', {
+    actorType: 'rider',
+    actorId: rider._id,
+  });
+
+/**
+ * Hand the clothes over. Needs the customer's handover code; the
+ * recipient's name and a doorstep photo are optional extra proof.
+ */
+export const markDelivered = async (order, rider, { note, handoverCode, recipientName, photo } = {}) => {
+  if (order.status === 'out-for-delivery') {
+    order.deliveryTask.completedAt = new Date();
+  }
+
+  return changeOrderStatus(order, 'delivered', {
+    actorType: 'rider',
+    actorId: rider._id,
+    note,
+    proof: { handoverCode, recipientName, photo },
+  });
+};
@@ -0,0 +1,181 @@
+import Role from '../models/Role.js';
+import Admin from '../models/Admin.js';
+import ApiError from '../utils/ApiError.js';
+import { PERMISSIONS, DEFAULT_ROLES, SUPER_ADMIN_ROLE } from '../utils/permissions.js';
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new ApiError(400, 'Permissions must be an array');
+  }
+
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(permissions)];
+};
+
+const toRole = (name, { description, permissions }, stored) => ({
+  name,
+  description,
+  permissions,
+  builtIn: Boolean(DEFAULT_ROLES[name]),
+  customised: Boolean(stored && DEFAULT_ROLES[name]),
+  updatedAt: stored?.updatedAt,
+});
+
+/**
+ * Look up a role, preferring a stored override to the built-in definition.
+ * Returns null for unknown roles.
+ */
+export const getRole = async (name) => {
+  if (name === SUPER_ADMIN_ROLE) {
+    return toRole(name, DEFAULT_ROLES[name]);
+  }
+
+  const stored = await Role.findOne({ name }).lean();
+  if (stored) {
+    return toRole(name, stored, stored);
+  }
+
+  return DEFAULT_ROLES[name] ? toRole(name, DEFAULT_ROLES[name]) : null;
+};
+
+/**
+ * Only a super-admin may grant the super-admin role or act on a
+ * super-admin's account, so admins:manage or roles:manage alone can't be
+ * used to climb to full control.
+ */
+export const assertCanActOnRole = (actingAdmin, role) => {
+  if (role === SUPER_ADMIN_ROLE && actingAdmin.role !== SUPER_ADMIN_ROLE) {
+    throw new ApiError(403, 'Only a super-admin can manage super-admin accounts');
+  }
+};
+
+export const getRolePermissions = async (name) => (await getRole(name))?.permissions || [];
+
+export const listRoles = async () => {
+  const stored = await Role.find().sort({ name: 1 }).lean();
+  const storedByName = new Map(stored.map((role) => [role.name, role]));
+
+  const builtIn = Object.entries(DEFAULT_ROLES).map(([name, role]) => {
+    const override = name === SUPER_ADMIN_ROLE ? null : storedByName.get(name);
+    return override ? toRole(name, override, override) : toRole(name, role);
+  });
+  const custom = stored
+    .filter((role) => !DEFAULT_ROLES[role.name])
+    .map((role) => toRole(role.name, role, role));
+
+  const counts = await Admin.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+  const countByRole = new Map(counts.map((c) => [c._id, c.count]));
+
+  return [...builtIn, ...custom].map((role) => ({
+    ...role,
+    adminCount: countByRole.get(role.name) || 0,
+  }));
+};
+
+export const createRole = async ({ name, description, permissions }, adminId) => {
+  const roleName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+  if (!roleName) {
+    throw new ApiError(400, 'Role name is required');
+  }
+  if (DEFAULT_ROLES[roleName] || await Role.exists({ name: roleName })) {
+    throw new ApiError(409, 'A role with this name already exists');
+  }
+
+  const role = await Role.create({
+    name: roleName,
+    description,
+    permissions: validatePermissions(permissions || []),
+    updatedBy: adminId,
+  });
+
+  return toRole(role.name, role, role);
+};
+
+/**
+ * Change a role's description or permissions. Built-in roles are saved as
+ * an override; super-admin can't be changed.
+ */
+export const updateRole = async (name, { description, permissions }, adminId) => {
+  if (name === SUPER_ADMIN_ROLE) {
+    throw new ApiError(400, 'The super-admin role cannot be changed');
+  }
+
+  const current = await getRole(name);
+  if (!current) {
+    throw new ApiError(404, 'Role not found');
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    {
+      description: description !== undefined ? description : current.description,
+      permissions: permissions !== undefined ? validatePermissions(permissions) : current.permissions,
+      updatedBy: adminId,
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  return toRole(role.name, role, role);
+};
+
+/**
+ * Delete a custom role, or reset a built-in one to its defaults.
+ */
+export const deleteRole = async (name) => {
+  if (DEFAULT_ROLES[name]) {
+    await Role.deleteOne({ name });
+    return { reset: true };
+  }
+
+  if (!await Role.exists({ name })) {
+    throw new ApiError(404, 'Role not found');
+  }
+  if (await Admin.exists({ role: name })) {
+    throw new ApiError(409, 'Move admins off this role before deleting it');
+  }
+
+  await Role.deleteOne({ name });
+  return { reset: false };
+};
+
+/**
+ * Give an admin a different role. There must always be an active super-admin.
+ */
+export const assignAdminRole = async (adminId, roleName, actingAdmin) => {
+  if (!await getRole(roleName)) {
+    throw new ApiError(400, 'Role not found');
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  assertCanActOnRole(actingAdmin, roleName);
+  assertCanActOnRole(actingAdmin, admin.role);
+
+  if (admin.role === SUPER_ADMIN_ROLE && roleName !== SUPER_ADMIN_ROLE) {
+    const otherSuperAdmins = await Admin.countDocuments({
+      _id: { $ne: admin._id },
+      role: SUPER_ADMIN_ROLE,
+      isActive: true,
+    });
+    if (otherSuperAdmins === 0) {
+      throw new ApiError(400, 'Cannot remove the last active super-admin');
+    }
+  }
+
+  if (admin._id.equals(actingAdmin._id) && roleName !== admin.role) {
+    throw new ApiError(400, 'You cannot change your own role');
+  }
+
+  admin.role = roleName;
+  await admin.save();
+
+  return admin;
+};
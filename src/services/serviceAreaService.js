@@ -0,0 +1,87 @@
+import ServiceArea from '../models/ServiceArea.js';
+import ApiError from '../utils/ApiError.js';
+import { haversineKm, isPointInPolygon, isValidCoordinate } from '../utils/geo.js';
+
+const containsPoint = (area, point) => {
+  if (area.type === 'radius') {
+    return haversineKm(area.center, point) <= area.radiusKm;
+  }
+
+  if (area.type === 'polygon') {
+    return isPointInPolygon(point, area.polygon);
+  }
+
+  return false;
+};
+
+/**
+ * Find the active zone covering a pincode or coordinate.
+ * Pincode zones are matched first; radius/polygon zones are checked
+ * by priority when coordinates are available.
+ */
+export const findServiceArea = async ({ pincode, location }) => {
+  if (pincode) {
+    const byPincode = await ServiceArea.findOne({
+      type: 'pincode',
+      pincodes: String(pincode).trim(),
+      isActive: true,
+    }).sort({ priority: 1 });
+
+    if (byPincode) {
+      return byPincode;
+    }
+  }
+
+  if (isValidCoordinate(location)) {
+    const zones = await ServiceArea.find({
+      type: { $in: ['radius', 'polygon'] },
+      isActive: true,
+    }).sort({ priority: 1 });
+
+    return zones.find((zone) => containsPoint(zone, location)) || null;
+  }
+
+  return null;
+};
+
+export const getDeliveryFee = (area, subtotal) => {
+  if (area.freeDeliveryAbove !== undefined && area.freeDeliveryAbove !== null
+    && subtotal >= area.freeDeliveryAbove) {
+    return 0;
+  }
+  return area.deliveryFee;
+};
+
+/**
+ * Make sure the order can be fulfilled in the customer's area and
+ * return the zone with the delivery fee to charge.
+ */
+export const resolveOrderArea = async ({ pincode, location, lineItems, subtotal }) => {
+  if (!pincode && !isValidCoordinate(location)) {
+    throw new ApiError(400, 'Please provide a pincode for the pickup address');
+  }
+
+  const area = await findServiceArea({ pincode, location });
+
+  if (!area) {
+    throw new ApiError(400, 'Sorry, we do not serve this area yet');
+  }
+
+  if (area.enabledServices.length > 0) {
+    const enabled = new Set(area.enabledServices.map((id) => id.toString()));
+    const unavailable = lineItems.find((item) => !enabled.has(item.serviceId.toString()));
+
+    if (unavailable) {
+      throw new ApiError(400, `${unavailable.serviceName} is not available in your area`);
+    }
+  }
+
+  if (subtotal < area.minOrderValue) {
+    throw new ApiError(400, `Minimum order value in your area is ₹${area.minOrderValue}`);
+  }
+
+  return {
+    area,
+    deliveryFee: getDeliveryFee(area, subtotal),
+  };
+};
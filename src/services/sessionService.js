@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import ApiError from '../utils/ApiError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Emits 'revoked' with { sessionId } or { subjectType, subjectId, except }
+ * so long-lived connections (e.g. SSE streams) can close straight away.
+ * Only this process hears it; other instances catch up on their own checks.
+ */
+export const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+const getRefreshTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * DAY_MS;
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Short-lived; clients use the refresh token to get a new one
+const signAccessToken = (session) =>
+  jwt.sign(
+    { id: session.subjectId, sid: session._id, role: session.subjectType },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+
+const issueTokens = (session, secret) => ({
+  token: signAccessToken(session),
+  refreshToken: `${session._id}.${secret}`,
+  sessionId: session._id,
+});
+
+const deviceInfo = (req) => ({
+  deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+  userAgent: req.headers['user-agent']?.slice(0, 300),
+  ip: req.ip,
+});
+
+/**
+ * Start a session for a freshly authenticated user, admin or rider.
+ * Returns an access token and the refresh token for this device.
+ */
+export const createSession = async (subjectType, subjectId, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    subjectType,
+    subjectId,
+    tokenHash: hashSecret(secret),
+    ...deviceInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+  });
+
+  return issueTokens(session, secret);
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token. The old
+ * refresh token stops working; presenting it again revokes the session,
+ * since only a copy held by someone else would do that.
+ */
+export const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  const presentedHash = hashSecret(secret);
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new ApiError(401, 'Session has expired, please log in again');
+  }
+
+  if (session.previousTokenHash === presentedHash) {
+    await revokeSession(session._id, 'refresh-token-reuse');
+    throw new ApiError(401, 'Session has been revoked, please log in again');
+  }
+
+  const nextSecret = newSecret();
+  const { ip, userAgent } = deviceInfo(req);
+
+  // Matching on the current hash makes concurrent refreshes race safely
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      tokenHash: hashSecret(nextSecret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+      ip,
+      userAgent,
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  return issueTokens(rotated, nextSecret);
+};
+
+/**
+ * Used by the auth middleware on every request; the caller checks the
+ * subject type matches the route.
+ */
+export const findActiveSession = (sessionId, subjectId) =>
+  Session.findOne({
+    _id: sessionId,
+    subjectId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('subjectType')
+    .lean();
+
+export const listSessions = (subjectType, subjectId) =>
+  Session.find({
+    subjectType,
+    subjectId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('deviceName userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+export const revokeSession = async (sessionId, reason, filter = {}) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...filter },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (result.modifiedCount > 0) {
+    sessionEvents.emit('revoked', { sessionId: sessionId.toString() });
+  }
+  return result;
+};
+
+/**
+ * Revoke every session a subject has, optionally keeping one (the
+ * device making the request).
+ */
+export const revokeAllSessions = async (subjectType, subjectId, reason, { except } = {}) => {
+  const result = await Session.updateMany(
+    {
+      subjectType,
+      subjectId,
+      revokedAt: null,
+      ...(except ? { _id: { $ne: except } } : {}),
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (result.modifiedCount > 0) {
+    sessionEvents.emit('revoked', {
+      subjectType,
+      subjectId: subjectId.toString(),
+      except: except?.toString(),
+    });
+  }
+  return result;
+};
@@ -0,0 +1,15 @@
+import Setting from '../models/Setting.js';
+
+export const getSetting = async (key, defaultValue) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+export const setSetting = async (key, value, adminId) => {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: adminId },
+    { new: true, upsert: true }
+  );
+  return setting.value;
+};
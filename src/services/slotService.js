@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import PickupSlot from '../models/PickupSlot.js';
+import BlackoutDate from '../models/BlackoutDate.js';
+import Order from '../models/Order.js';
+import ApiError from '../utils/ApiError.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a YYYY-MM-DD string (or Date) into the UTC-midnight key slots are stored under.
+ */
+export const toSlotDate = (value) => {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  const text = String(value || '').slice(0, 10);
+  if (!DATE_PATTERN.test(text)) {
+    throw new ApiError(400, 'Date must be in YYYY-MM-DD format');
+  }
+
+  const date = new Date(`${text}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, 'Invalid date');
+  }
+
+  return date;
+};
+
+// Today's calendar date in server local time, as a slot date key
+export const localToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+export const formatSlotLabel = (slot) => `${slot.startTime}-${slot.endTime}`;
+
+/**
+ * Whether a slot's window has already started in server local time.
+ */
+export const hasSlotStarted = (slot, now = new Date()) => {
+  const [hours, minutes] = slot.startTime.split(':').map(Number);
+  const start = new Date(
+    slot.date.getUTCFullYear(),
+    slot.date.getUTCMonth(),
+    slot.date.getUTCDate(),
+    hours,
+    minutes
+  );
+  return start <= now;
+};
+
+export const isBlackoutDate = async (date) =>
+  Boolean(await BlackoutDate.exists({ date: toSlotDate(date) }));
+
+const findRequestedSlot = async ({ slotId, pickupDate, pickupTime }) => {
+  if (slotId) {
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+      throw new ApiError(404, 'Pickup slot not found');
+    }
+    return PickupSlot.findById(slotId);
+  }
+
+  if (!pickupDate || !pickupTime) {
+    throw new ApiError(400, 'Please choose a pickup slot');
+  }
+
+  // Older clients send the window as free text, e.g. "18:00" or "18:00-20:00"
+  const [startTime] = String(pickupTime).split('-').map((t) => t.trim());
+  return PickupSlot.findOne({ date: toSlotDate(pickupDate), startTime });
+};
+
+/**
+ * Take one seat in the requested pickup slot.
+ * The capacity check and increment happen in a single update so two
+ * concurrent bookings cannot both take the last seat. When the slot is
+ * full the order either joins the waitlist or is rejected.
+ */
+export const reserveSlot = async ({ slotId, pickupDate, pickupTime, waitlist = false }) => {
+  const slot = await findRequestedSlot({ slotId, pickupDate, pickupTime });
+
+  if (!slot || !slot.isActive) {
+    throw new ApiError(404, 'Pickup slot not found');
+  }
+
+  if (await isBlackoutDate(slot.date)) {
+    throw new ApiError(400, 'Pickups are not available on this date');
+  }
+
+  if (hasSlotStarted(slot)) {
+    throw new ApiError(400, 'This pickup slot is no longer available');
+  }
+
+  const reserved = await PickupSlot.findOneAndUpdate(
+    {
+      _id: slot._id,
+      isActive: true,
+      $expr: { $lt: ['$bookedCount', '$capacity'] },
+    },
+    { $inc: { bookedCount: 1 } },
+    { new: true }
+  );
+
+  if (reserved) {
+    return { slot: reserved, waitlisted: false };
+  }
+
+  if (!waitlist) {
+    throw new ApiError(409, 'Selected pickup slot is full');
+  }
+
+  const waitlisted = await PickupSlot.findByIdAndUpdate(
+    slot._id,
+    { $inc: { waitlistCount: 1 } },
+    { new: true }
+  );
+
+  return { slot: waitlisted, waitlisted: true };
+};
+
+/**
+ * Give back the seat an order holds. If anyone is waiting on the slot the
+ * oldest waitlisted order takes the seat instead of freeing it.
+ */
+export const releaseSlot = async (order) => {
+  const slotId = order.pickupSlot?.slotId;
+
+  if (!slotId) {
+    return;
+  }
+
+  if (order.pickupSlot.waitlisted) {
+    await PickupSlot.updateOne(
+      { _id: slotId, waitlistCount: { $gt: 0 } },
+      { $inc: { waitlistCount: -1 } }
+    );
+    return;
+  }
+
+  const waitingFilter = {
+    'pickupSlot.slotId': slotId,
+    'pickupSlot.waitlisted': true,
+    status: 'pending',
+  };
+  if (order._id) {
+    waitingFilter._id = { $ne: order._id };
+  }
+
+  const promoted = await Order.findOneAndUpdate(
+    waitingFilter,
+    { $set: { 'pickupSlot.waitlisted': false } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (promoted) {
+    await PickupSlot.updateOne(
+      { _id: slotId, waitlistCount: { $gt: 0 } },
+      { $inc: { waitlistCount: -1 } }
+    );
+    return;
+  }
+
+  await PickupSlot.updateOne(
+    { _id: slotId, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } }
+  );
+};
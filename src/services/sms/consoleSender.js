@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+
+/**
+ * Development stand-in that prints messages to the server log instead of
+ * sending them. There are no carrier receipts, so messages count as delivered.
+ */
+const consoleSender = {
+  name: 'console',
+
+  async send({ to, body }) {
+    console.log(`📱 SMS to ${to}: ${body}`);
+
+    return {
+      providerMessageId: `console_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'delivered',
+    };
+  },
+};
+
+export default consoleSender;
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const getOutboxFile = () =>
+  path.resolve(process.env.SMS_OUTBOX_FILE || 'logs/sms-outbox.log');
+
+/**
+ * Development stand-in that appends each message as a JSON line to a local
+ * outbox file, for tests and tools that read what would have been sent.
+ */
+const fileSender = {
+  name: 'file',
+
+  async send({ to, body }) {
+    const providerMessageId = `file_${crypto.randomBytes(8).toString('hex')}`;
+    const file = getOutboxFile();
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({
+      id: providerMessageId,
+      to,
+      body,
+      sentAt: new Date(),
+    })}\n`);
+
+    return { providerMessageId, status: 'delivered' };
+  },
+};
+
+export default fileSender;
@@ -0,0 +1,35 @@
+import twilioSender from './twilioSender.js';
+import consoleSender from './consoleSender.js';
+import fileSender from './fileSender.js';
+
+/**
+ * SMS senders. Each sender implements:
+ *
+ *   name                         - stored on SmsMessage.provider
+ *   send({ to, body })           -> { providerMessageId, status }
+ *
+ * Senders with delivery receipts also implement:
+ *
+ *   verifyStatusCallback(req)    -> boolean
+ *   parseStatusCallback(body)    -> { providerMessageId, status, errorCode }
+ *
+ * Production defaults to Twilio; everywhere else messages go to the console.
+ */
+const senders = {
+  twilio: twilioSender,
+  console: consoleSender,
+  file: fileSender,
+};
+
+const defaultSender = () =>
+  process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'twilio' : 'console');
+
+export const getSmsSender = (name = defaultSender()) => {
+  const sender = senders[name];
+
+  if (!sender) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return sender;
+};
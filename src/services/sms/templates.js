@@ -0,0 +1,40 @@
+import { OTP_TTL_MS } from '../../utils/otp.js';
+
+const brand = () => process.env.COMPANY_NAME || 'DhobiGo';
+
+const MASK = '******';
+
+/**
+ * SMS templates. `sensitive` lists params masked in the stored copy of
+ * the message, so the outbox log never holds a usable code.
+ */
+export const SMS_TEMPLATES = {
+  otp: {
+    sensitive: ['otp'],
+    render: ({ otp }) =>
+      `${otp} is your ${brand()} verification code. It expires in ${OTP_TTL_MS / 60000} minutes. Do not share it with anyone.`,
+  },
+  'rider-otp': {
+    sensitive: ['otp'],
+    render: ({ otp }) =>
+      `${otp} is your ${brand()} rider login code. It expires in ${OTP_TTL_MS / 60000} minutes.`,
+  },
+};
+
+export const renderSms = (name, params = {}) => {
+  const template = SMS_TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  const masked = { ...params };
+  template.sensitive.forEach((key) => {
+    masked[key] = MASK;
+  });
+
+  return {
+    body: template.render(params),
+    redactedBody: template.render(masked),
+  };
+};
@@ -0,0 +1,73 @@
+import twilio from 'twilio';
+
+const SIGNATURE_HEADER = 'x-twilio-signature';
+
+// Twilio's message states mapped onto SmsMessage.status
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+let client = null;
+
+const getClient = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER must be set');
+  }
+
+  if (!client) {
+    client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+
+  return client;
+};
+
+const twilioSender = {
+  name: 'twilio',
+
+  async send({ to, body }) {
+    const message = await getClient().messages.create({
+      to,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      body,
+      // Twilio posts delivery receipts here when a public URL is configured
+      statusCallback: process.env.SMS_STATUS_CALLBACK_URL || undefined,
+    });
+
+    return {
+      providerMessageId: message.sid,
+      status: STATUS_MAP[message.status] || 'queued',
+    };
+  },
+
+  // Twilio signs the full callback URL plus the form-encoded parameters
+  verifyStatusCallback(req) {
+    const signature = req.headers[SIGNATURE_HEADER];
+    const url = process.env.SMS_STATUS_CALLBACK_URL;
+
+    if (typeof signature !== 'string' || !url || !process.env.TWILIO_AUTH_TOKEN) {
+      return false;
+    }
+
+    return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body);
+  },
+
+  parseStatusCallback(body) {
+    return {
+      providerMessageId: body.MessageSid,
+      status: STATUS_MAP[body.MessageStatus],
+      errorCode: body.ErrorCode,
+    };
+  },
+};
+
+export default twilioSender;
@@ -0,0 +1,77 @@
+import SmsMessage from '../models/SmsMessage.js';
+import ApiError from '../utils/ApiError.js';
+import { getSmsSender } from './sms/index.js';
+import { renderSms } from './sms/templates.js';
+
+// Later receipts can't move a message back to an earlier state
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  undelivered: 2,
+  failed: 2,
+};
+
+// Stored numbers are 10 local digits; providers want E.164
+const toE164 = (phoneNumber) =>
+  (phoneNumber.startsWith('+') ? phoneNumber : `${process.env.SMS_COUNTRY_CODE || '+91'}${phoneNumber}`);
+
+/**
+ * Render a template, send it and keep a redacted record for delivery
+ * tracking. Throws a 502 when the provider rejects the message.
+ */
+export const sendSms = async ({ to, template, params, recipient }) => {
+  const sender = getSmsSender();
+  const { body, redactedBody } = renderSms(template, params);
+
+  const message = await SmsMessage.create({
+    to,
+    template,
+    body: redactedBody,
+    recipient,
+    provider: sender.name,
+  });
+
+  try {
+    const result = await sender.send({ to: toE164(to), body });
+
+    message.providerMessageId = result.providerMessageId;
+    message.status = result.status;
+    message.statusUpdatedAt = new Date();
+    await message.save();
+  } catch (error) {
+    message.status = 'failed';
+    message.errorCode = error.code?.toString();
+    message.errorMessage = error.message;
+    message.statusUpdatedAt = new Date();
+    await message.save();
+
+    console.error('Failed to send SMS', message._id, error.message);
+    throw new ApiError(502, 'Could not send the SMS, please try again');
+  }
+
+  return message;
+};
+
+/**
+ * Apply a delivery receipt from the provider. Unknown messages and stale
+ * receipts are ignored.
+ */
+export const updateDeliveryStatus = async (provider, { providerMessageId, status, errorCode }) => {
+  if (!providerMessageId || !status) {
+    return null;
+  }
+
+  const lowerStatuses = Object.keys(STATUS_RANK)
+    .filter((s) => STATUS_RANK[s] < STATUS_RANK[status]);
+
+  return SmsMessage.findOneAndUpdate(
+    { provider, providerMessageId, status: { $in: lowerStatuses } },
+    {
+      status,
+      errorCode: errorCode || undefined,
+      statusUpdatedAt: new Date(),
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,24 @@
+import localStorage from './localStorage.js';
+
+/**
+ * File storage adapters. Each adapter implements:
+ *
+ *   name                                    - stored alongside file keys
+ *   save({ buffer, folder, extension })     -> { key }
+ *   exists(key)                             -> boolean
+ *   createReadStream(key)                   -> readable stream
+ *   remove(key)
+ */
+const adapters = {
+  local: localStorage,
+};
+
+export const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const storage = adapters[name];
+
+  if (!storage) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return storage;
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const getRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Keys are generated here, but never trust one enough to leave the root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+
+  return filePath;
+};
+
+/**
+ * Files on the server's own disk under UPLOAD_DIR. Fine for a single
+ * server; use an object store adapter once there are several.
+ */
+const localStorage = {
+  name: 'local',
+
+  async save({ buffer, folder, extension }) {
+    const key = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+    const filePath = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key };
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(resolveKey(key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+};
+
+export default localStorage;
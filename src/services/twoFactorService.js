@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Admin from '../models/Admin.js';
+import ApiError from '../utils/ApiError.js';
+import { generateTotpSecret, verifyTotp, otpauthUri } from '../utils/totp.js';
+import { getSetting, setSetting } from './settingsService.js';
+import { hitRateLimit } from './rateLimitService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { assertCanActOnRole } from './roleService.js';
+
+export const TWO_FACTOR_POLICY_KEY = 'admin-two-factor-required';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+// Codes are 6 digits, so second-step guesses are capped per admin
+const VERIFY_LIMIT = { limit: 5, windowMs: 5 * 60 * 1000 };
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const encryptionKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+// AES-256-GCM so a database dump alone can't generate codes
+const sealSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const openSecret = (sealed) => {
+  const [iv, tag, encrypted] = sealed.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const loadWithSecrets = (adminId) => Admin.findById(adminId).select(SECRET_FIELDS);
+
+export const isTwoFactorRequired = async () => Boolean(await getSetting(TWO_FACTOR_POLICY_KEY, false));
+
+/**
+ * Short-lived token proving the password step passed. `purpose` is
+ * 'login' (enter a code) or 'setup' (must enrol before logging in).
+ * It has no session, so it is useless as an access token.
+ */
+export const signTwoFactorChallenge = (admin, purpose) =>
+  jwt.sign({ id: admin._id, purpose: `admin-2fa-${purpose}` }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+export const verifyTwoFactorChallenge = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new ApiError(401, 'Your login attempt has expired, please log in again');
+  }
+
+  if (decoded.purpose !== `admin-2fa-${purpose}`) {
+    throw new ApiError(401, 'Invalid login challenge');
+  }
+
+  const admin = await Admin.findById(decoded.id);
+  if (!admin || !admin.isActive) {
+    throw new ApiError(401, 'Invalid login challenge');
+  }
+
+  return admin;
+};
+
+export const getTwoFactorStatus = async (adminId) => {
+  const admin = await loadWithSecrets(adminId);
+
+  return {
+    enabled: admin.twoFactor.enabled,
+    enabledAt: admin.twoFactor.enabledAt,
+    recoveryCodesRemaining: admin.twoFactor.enabled ? admin.twoFactor.recoveryCodes.length : 0,
+    required: await isTwoFactorRequired(),
+  };
+};
+
+/**
+ * Generate a new secret for the admin to add to their authenticator app.
+ * It only takes effect once confirmed with a code.
+ */
+export const beginEnrollment = async (admin) => {
+  if (admin.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await Admin.updateOne({ _id: admin._id }, { 'twoFactor.pendingSecret': sealSecret(secret) });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({
+      issuer: `${process.env.COMPANY_NAME || 'DhobiGo'} Admin`,
+      account: admin.email,
+      secret,
+    }),
+  };
+};
+
+/**
+ * Confirm the pending secret with a code from the app and switch 2FA on.
+ * Returns the recovery codes, which are only ever shown here.
+ */
+export const completeEnrollment = async (adminId, code) => {
+  const admin = await loadWithSecrets(adminId);
+
+  if (admin.twoFactor.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+  if (!admin.twoFactor.pendingSecret) {
+    throw new ApiError(400, 'Start two-factor setup first');
+  }
+
+  const secret = openSecret(admin.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new ApiError(400, 'Invalid authentication code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  admin.twoFactor = {
+    enabled: true,
+    secret: admin.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    lastUsedStep: step,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    enabledAt: new Date(),
+  };
+  await admin.save();
+
+  return recoveryCodes;
+};
+
+/**
+ * Check an authenticator code or a recovery code for an admin with 2FA on.
+ * Each code works once; recovery codes are used up.
+ */
+export const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+  const { allowed } = await hitRateLimit(`admin-2fa:${adminId}`, VERIFY_LIMIT);
+  if (!allowed) {
+    throw new ApiError(429, 'Too many attempts, please wait a few minutes and log in again');
+  }
+
+  const admin = await loadWithSecrets(adminId);
+  if (!admin?.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+
+  if (recoveryCode) {
+    // Pulling the hash atomically stops the same code being used twice
+    const result = await Admin.updateOne(
+      { _id: admin._id, 'twoFactor.recoveryCodes': hashRecoveryCode(String(recoveryCode)) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(String(recoveryCode)) } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new ApiError(401, 'Invalid recovery code');
+    }
+    return { usedRecoveryCode: true, recoveryCodesRemaining: admin.twoFactor.recoveryCodes.length - 1 };
+  }
+
+  const step = verifyTotp(openSecret(admin.twoFactor.secret), code);
+  if (step === null) {
+    throw new ApiError(401, 'Invalid authentication code');
+  }
+
+  const result = await Admin.updateOne(
+    {
+      _id: admin._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null },
+      ],
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (result.modifiedCount === 0) {
+    throw new ApiError(401, 'This code has already been used, wait for the next one');
+  }
+
+  return { usedRecoveryCode: false };
+};
+
+export const regenerateRecoveryCodes = async (adminId, code) => {
+  await verifySecondFactor(adminId, { code });
+
+  const recoveryCodes = generateRecoveryCodes();
+  await Admin.updateOne(
+    { _id: adminId },
+    { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+  );
+
+  return recoveryCodes;
+};
+
+const clearTwoFactor = (adminId) =>
+  Admin.updateOne(
+    { _id: adminId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.enabledAt': 1,
+      },
+    }
+  );
+
+/**
+ * Switch 2FA off for yourself. Not allowed while the policy requires it.
+ */
+export const disableTwoFactor = async (adminId, code) => {
+  if (await isTwoFactorRequired()) {
+    throw new ApiError(400, 'Two-factor authentication is required for all admins');
+  }
+
+  await verifySecondFactor(adminId, { code });
+  await clearTwoFactor(adminId);
+};
+
+/**
+ * Clear another admin's 2FA (lost phone and recovery codes). They are
+ * signed out and must enrol again if the policy requires it.
+ */
+export const resetTwoFactor = async (adminId, actingAdmin) => {
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+  assertCanActOnRole(actingAdmin, admin.role);
+
+  await clearTwoFactor(admin._id);
+  await revokeAllSessions('admin', admin._id, 'two-factor-reset');
+};
+
+/**
+ * Turn the require-2FA policy on or off. Turning it on signs out every
+ * admin who hasn't enrolled, so they must set it up at their next login.
+ */
+export const setTwoFactorPolicy = async (required, actingAdmin) => {
+  if (typeof required !== 'boolean') {
+    throw new ApiError(400, 'required must be true or false');
+  }
+
+  let signedOut = 0;
+  if (required) {
+    if (!actingAdmin.twoFactor?.enabled) {
+      throw new ApiError(400, 'Enable two-factor authentication on your own account first');
+    }
+
+    const unenrolled = await Admin.find({ 'twoFactor.enabled': { $ne: true } }).select('_id');
+    for (const admin of unenrolled) {
+      const result = await revokeAllSessions('admin', admin._id, 'two-factor-required');
+      signedOut += result.modifiedCount;
+    }
+  }
+
+  await setSetting(TWO_FACTOR_POLICY_KEY, required, actingAdmin._id);
+
+  return { required, sessionsRevoked: signedOut };
+};
@@ -0,0 +1,117 @@
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import ApiError from '../utils/ApiError.js';
+import { roundMoney } from '../utils/orderPricing.js';
+
+/**
+ * Fetch the user's wallet, opening an empty one on first use.
+ */
+export const getWallet = async (userId) => {
+  try {
+    return await Wallet.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { userId } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two first-time requests raced on the upsert; the other one won
+    if (error.code === 11000) {
+      return Wallet.findOne({ userId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move money in or out of a wallet and append the matching ledger entry.
+ * Debits only go through when the balance covers them. Posting again with
+ * the same idempotencyKey returns the original entry unchanged.
+ */
+const postTransaction = async ({
+  userId,
+  type,
+  amount,
+  source,
+  reason,
+  orderId,
+  refundId,
+  actor = { type: 'system' },
+  idempotencyKey,
+}) => {
+  const value = roundMoney(amount);
+
+  if (!(value > 0)) {
+    throw new ApiError(400, 'Amount must be greater than zero');
+  }
+
+  if (idempotencyKey) {
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  const wallet = await getWallet(userId);
+  const change = type === 'credit' ? value : -value;
+
+  const updated = await Wallet.findOneAndUpdate(
+    type === 'credit' ? { _id: wallet._id } : { _id: wallet._id, balance: { $gte: value } },
+    { $inc: { balance: change } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError(400, `Insufficient wallet balance (available ₹${wallet.balance})`);
+  }
+
+  try {
+    return await WalletTransaction.create({
+      walletId: wallet._id,
+      userId,
+      type,
+      amount: value,
+      balanceAfter: roundMoney(updated.balance),
+      source,
+      reason,
+      orderId,
+      refundId,
+      actor,
+      idempotencyKey,
+    });
+  } catch (error) {
+    await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: -change } });
+
+    if (error.code === 11000 && idempotencyKey) {
+      return WalletTransaction.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+export const creditWallet = (params) => postTransaction({ ...params, type: 'credit' });
+
+export const debitWallet = (params) => postTransaction({ ...params, type: 'debit' });
+
+/**
+ * How much of an order total to take from the wallet. useWallet alone
+ * spends as much as the balance covers; walletAmount asks for a set amount.
+ */
+export const resolveWalletAmount = async ({ userId, total, useWallet, walletAmount }) => {
+  if (!useWallet && walletAmount === undefined) {
+    return 0;
+  }
+
+  const { balance } = await getWallet(userId);
+
+  if (walletAmount === undefined) {
+    return roundMoney(Math.min(balance, total));
+  }
+
+  const requested = roundMoney(Number(walletAmount));
+  if (!(requested >= 0)) {
+    throw new ApiError(400, 'walletAmount must be a positive number');
+  }
+  if (requested > balance) {
+    throw new ApiError(400, `Insufficient wallet balance (available ₹${balance})`);
+  }
+
+  return Math.min(requested, total);
+};
@@ -0,0 +1,13 @@
+/**
+ * Error carrying an HTTP status code. Thrown from shared helpers so the
+ * route handler (or the global error handler) can respond with the right code.
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+export default ApiError;
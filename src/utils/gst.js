@@ -0,0 +1,72 @@
+import { roundMoney } from './orderPricing.js';
+
+// 15 characters: state code, PAN, entity number, 'Z', checksum
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes, used for place of supply on invoices
+export const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38',
+};
+
+export const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+
+export const getStateCode = (state) =>
+  GST_STATE_CODES[String(state || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ')];
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2025-26".
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Split the tax on a line into CGST + SGST for supplies within the
+ * supplier's state, or IGST for supplies to another state.
+ */
+export const splitGst = (taxableValue, taxRate, interState) => {
+  const tax = roundMoney((taxableValue * taxRate) / 100);
+
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+
+  const cgst = roundMoney(tax / 2);
+  return { cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+};
@@ -0,0 +1,268 @@
+import PDFDocument from 'pdfkit';
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen',
+  'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) =>
+  (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = belowHundred(n % 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest].filter(Boolean).join(' ');
+};
+
+// Indian numbering: thousand, lakh, crore
+const wholeNumberInWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+
+  if (crore) parts.push(`${wholeNumberInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n % 1000) parts.push(belowThousand(n % 1000));
+
+  return parts.join(' ');
+};
+
+export const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+
+  return `Rupees ${wholeNumberInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[c]));
+
+/**
+ * Printable HTML tax invoice.
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const interState = invoice.supplyType === 'inter-state';
+  const taxHeaders = interState
+    ? '<th>IGST</th>'
+    : '<th>CGST</th><th>SGST</th>';
+
+  const rows = invoice.lines.map((line, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.sacCode)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${money(line.unitPrice)}</td>
+        <td class="num">${money(line.discount)}</td>
+        <td class="num">${money(line.taxableValue)}</td>
+        <td class="num">${line.taxRate}%</td>
+        ${interState
+    ? `<td class="num">${money(line.igst)}</td>`
+    : `<td class="num">${money(line.cgst)}</td><td class="num">${money(line.sgst)}</td>`}
+        <td class="num">${money(line.total)}</td>
+      </tr>`).join('');
+
+  const { seller, buyer } = invoice;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 20px; margin: 0 0 16px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 16px; }
+    .parties div { width: 48%; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <p>
+    <strong>Invoice No:</strong> ${escapeHtml(invoice.invoiceNumber)}<br>
+    <strong>Date:</strong> ${formatDate(invoice.issuedAt)}<br>
+    <strong>Order:</strong> ${escapeHtml(invoice.orderId)}<br>
+    <strong>Place of Supply:</strong> ${escapeHtml(invoice.placeOfSupply?.state)} (${escapeHtml(invoice.placeOfSupply?.stateCode)})
+  </p>
+  <div class="parties">
+    <div>
+      <strong>Supplier</strong><br>
+      ${escapeHtml(seller.name)}<br>
+      ${escapeHtml(seller.address)}<br>
+      GSTIN: ${escapeHtml(seller.gstin)}
+    </div>
+    <div>
+      <strong>Billed To</strong><br>
+      ${escapeHtml(buyer.businessName || buyer.name)}<br>
+      ${escapeHtml(buyer.address)}<br>
+      ${buyer.gstin ? `GSTIN: ${escapeHtml(buyer.gstin)}<br>` : ''}
+      Phone: ${escapeHtml(buyer.phone)}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Description</th><th>SAC</th><th>Qty</th><th>Rate</th>
+        <th>Discount</th><th>Taxable Value</th><th>GST %</th>${taxHeaders}<th>Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="num">Taxable Value</td><td class="num">${money(invoice.taxableValue)}</td></tr>
+    ${interState
+    ? `<tr><td class="num">IGST</td><td class="num">${money(invoice.igst)}</td></tr>`
+    : `<tr><td class="num">CGST</td><td class="num">${money(invoice.cgst)}</td></tr>
+    <tr><td class="num">SGST</td><td class="num">${money(invoice.sgst)}</td></tr>`}
+    ${invoice.roundOff ? `<tr><td class="num">Round Off</td><td class="num">${money(invoice.roundOff)}</td></tr>` : ''}
+    <tr><td class="num"><strong>Grand Total (INR)</strong></td><td class="num"><strong>${money(invoice.grandTotal)}</strong></td></tr>
+  </table>
+  <p><strong>Amount in words:</strong> ${amountInWords(invoice.grandTotal)}</p>
+  <p>This is a computer generated invoice and does not require a signature.</p>
+</body>
+</html>`;
+};
+
+/**
+ * Write the tax invoice as a PDF to a writable stream (e.g. the response).
+ */
+export const writeInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const interState = invoice.supplyType === 'inter-state';
+  const { seller, buyer } = invoice;
+
+  doc.pipe(stream);
+
+  doc.fontSize(18).text('Tax Invoice', { align: 'center' }).moveDown();
+
+  doc.fontSize(10)
+    .text(`Invoice No: ${invoice.invoiceNumber}`)
+    .text(`Date: ${formatDate(invoice.issuedAt)}`)
+    .text(`Order: ${invoice.orderId}`)
+    .text(`Place of Supply: ${invoice.placeOfSupply?.state || ''} (${invoice.placeOfSupply?.stateCode || ''})`)
+    .moveDown();
+
+  const partiesTop = doc.y;
+  doc.font('Helvetica-Bold').text('Supplier', 40, partiesTop).font('Helvetica')
+    .text(seller.name, { width: 250 })
+    .text(seller.address, { width: 250 })
+    .text(`GSTIN: ${seller.gstin}`, { width: 250 });
+  const supplierBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Billed To', 310, partiesTop).font('Helvetica')
+    .text(buyer.businessName || buyer.name || '', { width: 245 })
+    .text(buyer.address || '', { width: 245 });
+  if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`, { width: 245 });
+  doc.text(`Phone: ${buyer.phone || ''}`, { width: 245 });
+
+  doc.y = Math.max(doc.y, supplierBottom) + 15;
+
+  const columns = interState
+    ? [['Description', 160], ['SAC', 45], ['Qty', 30], ['Rate', 50], ['Taxable', 60], ['GST %', 40], ['IGST', 55], ['Total', 75]]
+    : [['Description', 140], ['SAC', 40], ['Qty', 30], ['Rate', 45], ['Taxable', 55], ['GST %', 35], ['CGST', 45], ['SGST', 45], ['Total', 80]];
+
+  const drawRow = (cells, bold = false) => {
+    const top = doc.y;
+    let x = 40;
+    let bottom = top;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    cells.forEach((cell, i) => {
+      const [, width] = columns[i];
+      doc.text(String(cell), x, top, { width: width - 4, align: i === 0 ? 'left' : 'right' });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.font('Helvetica');
+    doc.y = bottom + 4;
+  };
+
+  drawRow(columns.map(([label]) => label), true);
+
+  invoice.lines.forEach((line) => {
+    const taxes = interState ? [money(line.igst)] : [money(line.cgst), money(line.sgst)];
+    drawRow([
+      line.description,
+      line.sacCode,
+      line.quantity,
+      money(line.unitPrice),
+      money(line.taxableValue),
+      `${line.taxRate}%`,
+      ...taxes,
+      money(line.total),
+    ]);
+  });
+
+  doc.moveDown();
+
+  const totals = [['Taxable Value', invoice.taxableValue]];
+  if (interState) {
+    totals.push(['IGST', invoice.igst]);
+  } else {
+    totals.push(['CGST', invoice.cgst], ['SGST', invoice.sgst]);
+  }
+  if (invoice.roundOff) totals.push(['Round Off', invoice.roundOff]);
+  totals.push(['Grand Total (INR)', invoice.grandTotal]);
+
+  totals.forEach(([label, value], i) => {
+    const top = doc.y;
+    doc.font(i === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 300, top, { width: 150, align: 'right' })
+      .text(money(value), 455, top, { width: 100, align: 'right' });
+  });
+
+  doc.font('Helvetica').moveDown()
+    .text(`Amount in words: ${amountInWords(invoice.grandTotal)}`, 40)
+    .moveDown()
+    .fontSize(8)
+    .text('This is a computer generated invoice and does not require a signature.');
+
+  doc.end();
+};
+
+/**
+ * Send an invoice as JSON (default), HTML or PDF.
+ */
+export const sendInvoice = (res, invoice, format = 'json') => {
+  if (format === 'html') {
+    return res.status(200).type('html').send(renderInvoiceHtml(invoice));
+  }
+
+  if (format === 'pdf') {
+    const filename = `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+    res.status(200);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    return writeInvoicePdf(invoice, res);
+  }
+
+  return res.status(200).json({
+    success: true,
+    invoice,
+  });
+};
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+import Service from '../models/Service.js';
+import ApiError from './ApiError.js';
+
+const DEFAULT_GARMENT_TYPE = 'general';
+const MAX_QUANTITY_PER_LINE = 200;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const findGarmentPrice = (service, garmentType) => {
+  if (!service.garmentPrices || service.garmentPrices.length === 0) {
+    return service.price;
+  }
+
+  const match = service.garmentPrices.find(
+    (g) => g.garmentType.toLowerCase() === garmentType.toLowerCase()
+  );
+
+  if (!match) {
+    throw new ApiError(400, `${service.name} is not available for ${garmentType}`);
+  }
+
+  return match.price;
+};
+
+const resolveAddOns = (service, requested = []) => {
+  if (!Array.isArray(requested)) {
+    throw new ApiError(400, 'addOns must be an array');
+  }
+
+  return requested.map((name) => {
+    const addOn = (service.addOns || []).find(
+      (a) => a.name.toLowerCase() === String(name).toLowerCase()
+    );
+
+    if (!addOn) {
+      throw new ApiError(400, `Add-on "${name}" is not offered with ${service.name}`);
+    }
+
+    return { name: addOn.name, price: addOn.price };
+  });
+};
+
+// Malformed entries get a 400 here instead of failing on property access
+const validateItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new ApiError(400, 'Each item must be an object');
+  }
+
+  if (typeof item.serviceId !== 'string') {
+    throw new ApiError(400, 'Each item needs a serviceId');
+  }
+
+  if (item.garmentType !== undefined && item.garmentType !== null && typeof item.garmentType !== 'string') {
+    throw new ApiError(400, 'garmentType must be a string');
+  }
+
+  const quantity = item.quantity ?? 1;
+  const count = ['number', 'string'].includes(typeof quantity) ? Number(quantity) : NaN;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_QUANTITY_PER_LINE) {
+    throw new ApiError(400, `Quantity must be a whole number between 1 and ${MAX_QUANTITY_PER_LINE}`);
+  }
+};
+
+/**
+ * Price the requested items against the Service catalog.
+ * Client-supplied prices are ignored; only serviceId, garmentType,
+ * quantity and add-on names are read from each item.
+ */
+export const priceLineItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'At least one item is required');
+  }
+
+  items.forEach(validateItem);
+
+  const serviceIds = [...new Set(items.map((item) => item.serviceId))];
+
+  if (serviceIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ApiError(404, 'Service not found');
+  }
+
+  const services = await Service.find({ _id: { $in: serviceIds }, isActive: true });
+  const serviceMap = new Map(services.map((s) => [s._id.toString(), s]));
+
+  return items.map((item) => {
+    const service = serviceMap.get(item.serviceId);
+
+    if (!service) {
+      throw new ApiError(404, 'Service not found');
+    }
+
+    const quantity = Number(item.quantity ?? 1);
+    const garmentType = (item.garmentType || DEFAULT_GARMENT_TYPE).trim();
+    const unitPrice = findGarmentPrice(service, garmentType);
+    const addOns = resolveAddOns(service, item.addOns);
+    const addOnTotal = addOns.reduce((sum, a) => sum + a.price, 0);
+    const lineTotal = roundMoney((unitPrice + addOnTotal) * quantity);
+
+    return {
+      serviceId: service._id,
+      serviceName: service.name,
+      garmentType,
+      quantity,
+      unitPrice,
+      addOns,
+      lineTotal,
+      discount: 0,
+      taxRate: service.taxRate ?? 0,
+      sacCode: service.sacCode,
+    };
+  });
+};
+
+/**
+ * Sum priced line items into subtotal, discount, tax and grand total.
+ * Tax applies to each line after its share of the discount, and not
+ * to the delivery fee.
+ */
+export const calculateTotals = (lineItems, { deliveryFee = 0 } = {}) => {
+  const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.lineTotal, 0));
+  const discount = roundMoney(lineItems.reduce((sum, item) => sum + (item.discount || 0), 0));
+  const taxAmount = roundMoney(
+    lineItems.reduce(
+      (sum, item) => sum + ((item.lineTotal - (item.discount || 0)) * item.taxRate) / 100,
+      0
+    )
+  );
+
+  return {
+    subtotal,
+    discount,
+    taxAmount,
+    deliveryFee,
+    total: roundMoney(subtotal - discount + taxAmount + deliveryFee),
+  };
+};
+
+export { roundMoney };
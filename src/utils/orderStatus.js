@@ -0,0 +1,93 @@
+import ApiError from './ApiError.js';
+
+export const ORDER_STATUSES = [
+  'pending',
+  'picked',
+  'in-process',
+  'ready',
+  'out-for-delivery',
+  'delivered',
+  'cancelled',
+  'failed',
+];
+
+// Who can be recorded as having moved an order
+export const ACTOR_TYPES = ['admin', 'user', 'rider', 'system'];
+
+// Allowed next statuses for each status. Terminal statuses map to [].
+// out-for-delivery -> ready covers a missed delivery returned to the store.
+export const ORDER_TRANSITIONS = {
+  pending: ['picked', 'cancelled', 'failed'],
+  picked: ['in-process', 'cancelled', 'failed'],
+  'in-process': ['ready', 'failed'],
+  ready: ['out-for-delivery', 'failed'],
+  'out-for-delivery': ['delivered', 'ready', 'failed'],
+  delivered: [],
+  cancelled: [],
+  failed: [],
+};
+
+// Non-status milestones recorded on the order history
+export const ORDER_EVENTS = ['rider-assigned', 'rider-unassigned'];
+
+export const isValidStatus = (status) => ORDER_STATUSES.includes(status);
+
+export const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move an order to a new status and append the change to its history.
+ * Mutates the order document; the caller is responsible for saving it.
+ */
+export const applyStatusChange = (order, status, { actorType, actorId, note } = {}) => {
+  if (!isValidStatus(status)) {
+    throw new ApiError(400, 'Invalid status value');
+  }
+
+  if (!ACTOR_TYPES.includes(actorType)) {
+    throw new ApiError(500, `Unknown actor type: ${actorType}`);
+  }
+
+  const from = order.status;
+
+  if (!canTransition(from, status)) {
+    throw new ApiError(409, `Cannot change order status from ${from} to ${status}`);
+  }
+
+  order.status = status;
+  order.statusHistory.push({
+    status,
+    from,
+    changedAt: new Date(),
+    actor: {
+      type: actorType,
+      id: actorId,
+    },
+    note,
+  });
+
+  return order;
+};
+
+/**
+ * Append a milestone that doesn't change the status (e.g. a rider being
+ * assigned) to the order's history. The caller saves the order.
+ */
+export const recordOrderEvent = (order, event, { actorType, actorId, note } = {}) => {
+  if (!ORDER_EVENTS.includes(event)) {
+    throw new ApiError(500, `Unknown order event: ${event}`);
+  }
+
+  order.statusHistory.push({
+    status: order.status,
+    event,
+    changedAt: new Date(),
+    actor: {
+      type: actorType,
+      id: actorId,
+    },
+    note,
+  });
+
+  return order;
+};
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+export const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// OTPs may be echoed in responses, or replaced by STATIC_OTP, only when
+// OTP_DEV_MODE is switched on explicitly, and never in production
+export const isOtpDevMode = () =>
+  process.env.OTP_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production';
+
+// Generate OTP (6 digits)
+export const generateOTP = () => {
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+export const issueOtp = () => (isOtpDevMode() && process.env.STATIC_OTP) || generateOTP();
+
+// Keyed so a leaked database can't be brute-forced over the 6-digit space
+export const hashOtp = (phoneNumber, otp) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET)
+    .update(`${phoneNumber}:${otp}`)
+    .digest('hex');
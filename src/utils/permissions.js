@@ -0,0 +1,76 @@
+// Every permission an admin role can be granted
+export const PERMISSIONS = [
+  'dashboard:read',
+  'orders:read',
+  'orders:update-status',
+  // Mark delivered without the customer's handover code
+  'orders:override-delivery',
+  'orders:delete',
+  'dispatch:manage',
+  'riders:read',
+  'riders:write',
+  'services:read',
+  'services:write',
+  'services:delete',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'marketing:read',
+  'marketing:delete',
+  'payments:read',
+  'payments:manage',
+  'refunds:manage',
+  'wallet:adjust',
+  'invoices:read',
+  'slots:read',
+  'slots:write',
+  'service-areas:read',
+  'service-areas:write',
+  'coupons:read',
+  'coupons:write',
+  'settings:write',
+  'admins:manage',
+  'roles:manage',
+  'audit:read',
+];
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = '*';
+
+export const SUPER_ADMIN_ROLE = 'super-admin';
+
+/**
+ * Roles that exist without any setup. A Role document with the same name
+ * overrides the permissions (except super-admin, which is fixed).
+ */
+export const DEFAULT_ROLES = {
+  [SUPER_ADMIN_ROLE]: {
+    description: 'Full access, including admin and role management',
+    permissions: [ALL_PERMISSIONS],
+  },
+  // Admins could do everything before roles existed; keep that, minus staff
+  // management and the audit log, which records what admins themselves did
+  admin: {
+    description: 'Runs day-to-day operations',
+    permissions: PERMISSIONS.filter((p) => !['admins:manage', 'roles:manage', 'audit:read'].includes(p)),
+  },
+  'counter-staff': {
+    description: 'Front desk: looks up customers and moves orders along',
+    permissions: [
+      'dashboard:read',
+      'orders:read',
+      'orders:update-status',
+      'riders:read',
+      'services:read',
+      'users:read',
+      'payments:read',
+      'invoices:read',
+      'slots:read',
+      'service-areas:read',
+      'coupons:read',
+    ],
+  },
+};
+
+export const hasPermission = (granted, permission) =>
+  granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
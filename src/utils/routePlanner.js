@@ -0,0 +1,147 @@
+import { haversineKm, isValidCoordinate } from './geo.js';
+
+// Streets are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+/**
+ * Travel assumptions for riders, overridable per deployment.
+ */
+export const getRoutingConfig = () => {
+  const storeLat = parseFloat(process.env.STORE_LAT);
+  const storeLng = parseFloat(process.env.STORE_LNG);
+  const store = { lat: storeLat, lng: storeLng };
+
+  return {
+    speedKmh: parseFloat(process.env.RIDER_AVG_SPEED_KMH) || 20,
+    stopMinutes: parseFloat(process.env.RIDER_STOP_MINUTES) || 5,
+    store: isValidCoordinate(store) ? store : null,
+  };
+};
+
+/**
+ * Estimated road distance and riding time between two points.
+ */
+export const estimateTravel = (from, to, { speedKmh } = getRoutingConfig()) => {
+  const distanceKm = haversineKm(from, to) * ROAD_DISTANCE_FACTOR;
+
+  return {
+    distanceKm: roundKm(distanceKm),
+    minutes: Math.round((distanceKm / speedKmh) * 60),
+  };
+};
+
+const pathLength = (start, points) => {
+  let total = 0;
+  let previous = start;
+  points.forEach((point) => {
+    if (previous) total += haversineKm(previous, point);
+    previous = point;
+  });
+  return total;
+};
+
+// Greedy: always ride to the closest stop not yet visited
+const nearestNeighbour = (start, stops) => {
+  const remaining = [...stops];
+  const ordered = [];
+  let current = start || remaining[0].location;
+
+  while (remaining.length > 0) {
+    let best = 0;
+    remaining.forEach((stop, i) => {
+      if (haversineKm(current, stop.location) < haversineKm(current, remaining[best].location)) {
+        best = i;
+      }
+    });
+
+    const [next] = remaining.splice(best, 1);
+    ordered.push(next);
+    current = next.location;
+  }
+
+  return ordered;
+};
+
+// Undo crossings left by the greedy pass by reversing segments while it helps
+const twoOpt = (start, stops) => {
+  let route = stops;
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const candidate = [
+          ...route.slice(0, i),
+          ...route.slice(i, j + 1).reverse(),
+          ...route.slice(j + 1),
+        ];
+        const locations = (r) => r.map((stop) => stop.location);
+        if (pathLength(start, locations(candidate)) + 1e-9 < pathLength(start, locations(route))) {
+          route = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route;
+};
+
+/**
+ * Order stops to keep riding short: nearest-neighbour from the start point,
+ * tidied with 2-opt. Each stop is { location: { lat, lng }, ... } and comes
+ * back with the leg distance, running distance and an ETA. Stops without
+ * coordinates are kept, unplanned, at the end of the run.
+ */
+export const planRoute = (stops, { start, startTime = new Date(), ...options } = {}) => {
+  const config = { ...getRoutingConfig(), ...options };
+  const origin = isValidCoordinate(start) ? start : config.store;
+
+  const located = stops.filter((stop) => isValidCoordinate(stop.location));
+  const unlocated = stops.filter((stop) => !isValidCoordinate(stop.location));
+
+  const ordered = located.length > 1
+    ? twoOpt(origin, nearestNeighbour(origin, located))
+    : located;
+
+  let clock = startTime.getTime();
+  let totalKm = 0;
+  let previous = origin;
+
+  const planned = ordered.map((stop, index) => {
+    const leg = previous ? estimateTravel(previous, stop.location, config) : { distanceKm: 0, minutes: 0 };
+    clock += leg.minutes * 60 * 1000;
+    totalKm += leg.distanceKm;
+
+    const result = {
+      ...stop,
+      sequence: index + 1,
+      legDistanceKm: leg.distanceKm,
+      cumulativeDistanceKm: roundKm(totalKm),
+      eta: new Date(clock),
+    };
+
+    clock += config.stopMinutes * 60 * 1000;
+    previous = stop.location;
+    return result;
+  });
+
+  return {
+    start: origin,
+    totalDistanceKm: roundKm(totalKm),
+    estimatedMinutes: Math.round((clock - startTime.getTime()) / 60000),
+    stops: [
+      ...planned,
+      ...unlocated.map((stop, index) => ({
+        ...stop,
+        sequence: planned.length + index + 1,
+        legDistanceKm: null,
+        cumulativeDistanceKm: null,
+        eta: null,
+      })),
+    ],
+  };
+};
@@ -0,0 +1,14 @@
+/**
+ * Respond with a caught error. An ApiError's message is shown as-is; anything
+ * else is treated as unexpected and reported with the handler's fallback text.
+ */
+const sendError = (res, error, fallback) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallback,
+    error: error.message,
+  });
+};
+
+export default sendError;